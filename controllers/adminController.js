@@ -1,6 +1,14 @@
 const Student = require("../models/student");
 const eventStatusService = require("../services/eventStatusService");
+const reconciliationService = require("../services/reconciliationService");
+const anchoringService = require("../services/anchoringService");
+const accountPurgeService = require("../services/accountPurgeService");
+const eventReviewService = require("../services/eventReviewService");
+const organizerApplicationService = require("../services/organizerApplicationService");
+const OrganizerApplication = require("../models/organizerApplication");
 const Event = require("../models/event");
+const Certificate = require("../models/certificate");
+const AnchorBatch = require("../models/anchorBatch");
 const AppError = require("../utils/appError");
 
 // @desc Get Student Information by mail
@@ -119,3 +127,272 @@ exports.getPendingStatusUpdates = async (req, res) => {
     });
   }
 };
+
+// @desc    Dry-run participant/enrollment reconciliation report
+// @route   GET /api/admin/reconciliation
+// @access  Private/Admin
+exports.getReconciliationReport = async (req, res) => {
+  try {
+    const { report } = await reconciliationService.run({ apply: false });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        dryRun: true,
+        report,
+        service: reconciliationService.getStatus(),
+      },
+    });
+  } catch (error) {
+    // 409 while another run is in progress
+    res.status(error.statusCode || 500).json({
+      status: error.status || "error",
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Run reconciliation and apply the fixes
+// @route   POST /api/admin/reconciliation/apply
+// @access  Private/Admin
+exports.applyReconciliation = async (req, res) => {
+  try {
+    const { report, applied } = await reconciliationService.run({
+      apply: true,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Reconciliation fixes applied",
+      data: {
+        dryRun: false,
+        report,
+        applied,
+        service: reconciliationService.getStatus(),
+      },
+    });
+  } catch (error) {
+    // 409 while another run is in progress
+    res.status(error.statusCode || 500).json({
+      status: error.status || "error",
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Certificate anchoring status and recent batches
+// @route   GET /api/admin/anchoring
+// @access  Private/Admin
+exports.getAnchoringStatus = async (req, res) => {
+  try {
+    const [batches, pendingCertificates] = await Promise.all([
+      AnchorBatch.find().sort({ createdAt: -1 }).limit(20),
+      Certificate.countDocuments({
+        "anchor.batch": null,
+        "signature.token": { $exists: true },
+        status: { $ne: "revoked" },
+      }),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        service: anchoringService.getStatus(),
+        pendingCertificates,
+        batches,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Anchor pending certificates now
+// @route   POST /api/admin/anchoring/run
+// @access  Private/Admin
+exports.runAnchoring = async (req, res) => {
+  try {
+    const summary = await anchoringService.run();
+
+    res.status(200).json({
+      status: "success",
+      message: "Anchoring run completed",
+      data: {
+        summary,
+        service: anchoringService.getStatus(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Account purge service status and accounts waiting to be purged
+// @route   GET /api/admin/account-purge
+// @access  Private/Admin
+exports.getAccountPurgeStatus = async (req, res) => {
+  try {
+    const [pending, due] = await Promise.all([
+      Student.countDocuments({ active: false, purgeAfter: { $gt: new Date() } }),
+      Student.countDocuments({ active: false, purgeAfter: { $lte: new Date() } }),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        service: accountPurgeService.getStatus(),
+        inGracePeriod: pending,
+        duePurge: due,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Purge accounts whose grace period has passed now
+// @route   POST /api/admin/account-purge/run
+// @access  Private/Admin
+exports.runAccountPurge = async (req, res) => {
+  try {
+    const summary = await accountPurgeService.run();
+
+    res.status(200).json({
+      status: "success",
+      message: "Account purge completed",
+      data: {
+        summary,
+        service: accountPurgeService.getStatus(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get events by review state (pending by default), oldest first
+// @route   GET /api/admin/events/review?approvalStatus=pending
+// @access  Private/Admin
+exports.getEventReviewQueue = async (req, res, next) => {
+  try {
+    const approvalStatus = req.query.approvalStatus || "pending";
+
+    if (!["draft", "pending", "published", "rejected"].includes(approvalStatus)) {
+      return next(new AppError("Invalid approval status", 400));
+    }
+
+    const events = await Event.find({ approvalStatus })
+      .select("title category date location series approvalStatus submittedAt reviews organizer")
+      .populate("organizer", "name email")
+      .sort({ submittedAt: 1, createdAt: 1 })
+      .limit(100);
+
+    res.status(200).json({
+      status: "success",
+      results: events.length,
+      data: {
+        events,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Approve or reject a pending event (and the rest of its series)
+// @route   PATCH /api/admin/events/:eventId/review
+// @access  Private/Admin
+exports.reviewEvent = async (req, res, next) => {
+  try {
+    const { decision, comment, requiredChanges } = req.body;
+
+    if (requiredChanges !== undefined && !Array.isArray(requiredChanges)) {
+      return next(new AppError("requiredChanges must be an array", 400));
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return next(new AppError("No event found with that ID", 404));
+    }
+
+    const reviewed = await eventReviewService.review(event, req.student._id, {
+      decision,
+      comment,
+      requiredChanges,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        event: reviewed,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get organizer applications (pending by default), oldest first
+// @route   GET /api/admin/organizer-applications?status=pending
+// @access  Private/Admin
+exports.getOrganizerApplications = async (req, res, next) => {
+  try {
+    const status = req.query.status || "pending";
+
+    if (!["pending", "approved", "rejected"].includes(status)) {
+      return next(new AppError("Invalid application status", 400));
+    }
+
+    const applications = await OrganizerApplication.find({ status })
+      .populate("student", "name email year branch role")
+      .populate("reviewedBy", "name email")
+      .sort({ createdAt: 1 })
+      .limit(100);
+
+    res.status(200).json({
+      status: "success",
+      results: applications.length,
+      data: {
+        applications,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Approve or reject an organizer application
+// @route   PATCH /api/admin/organizer-applications/:applicationId
+// @access  Private/Admin
+exports.decideOrganizerApplication = async (req, res, next) => {
+  try {
+    const { decision, note } = req.body;
+
+    const application = await organizerApplicationService.decide(
+      req.params.applicationId,
+      req.student._id,
+      { decision, note }
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        application,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
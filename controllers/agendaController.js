@@ -0,0 +1,346 @@
+const cloudinary = require("../config/cloudinary");
+const streamifier = require("streamifier");
+const Event = require("../models/event");
+const Student = require("../models/student");
+const eventReviewService = require("../services/eventReviewService");
+
+const SESSION_FIELDS = [
+  "title",
+  "description",
+  "startTime",
+  "endTime",
+  "room",
+  "capacity",
+  "speakers",
+];
+
+// Keep only the session fields organizers may set
+const pickSessionFields = (body) => {
+  const fields = {};
+  SESSION_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Linked speakers must be existing students
+const findUnknownSpeaker = async (speakers = []) => {
+  for (const speaker of speakers) {
+    if (speaker.student && !(await Student.exists({ _id: speaker.student }))) {
+      return speaker.student;
+    }
+  }
+  return null;
+};
+
+// @desc    Add a session to the event agenda
+// @route   POST /api/events/:eventId/sessions
+// @access  Private/Organizer
+exports.addSession = async (req, res) => {
+  try {
+    const event = req.event;
+    const fields = pickSessionFields(req.body);
+
+    const unknownSpeaker = await findUnknownSpeaker(fields.speakers);
+    if (unknownSpeaker) {
+      return res.status(404).json({
+        status: "fail",
+        message: `Speaker student ${unknownSpeaker} not found`,
+      });
+    }
+
+    event.sessions.push(fields);
+    const session = event.sessions[event.sessions.length - 1];
+
+    const conflict = event.validateSession(session);
+    if (conflict) {
+      return res.status(400).json({
+        status: "fail",
+        message: conflict,
+      });
+    }
+
+    await event.save({ validateModifiedOnly: true });
+    await eventReviewService.reopenForReview({ _id: event._id }, req.student._id, ["agenda"]);
+
+    res.status(201).json({
+      status: "success",
+      data: {
+        session,
+      },
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Update an agenda session
+// @route   PATCH /api/events/:eventId/sessions/:sessionId
+// @access  Private/Organizer
+exports.updateSession = async (req, res) => {
+  try {
+    const event = req.event;
+    const session = event.sessions.id(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Session not found",
+      });
+    }
+
+    const fields = pickSessionFields(req.body);
+
+    const unknownSpeaker = await findUnknownSpeaker(fields.speakers);
+    if (unknownSpeaker) {
+      return res.status(404).json({
+        status: "fail",
+        message: `Speaker student ${unknownSpeaker} not found`,
+      });
+    }
+
+    if (fields.capacity && fields.capacity < session.attendees.length) {
+      return res.status(400).json({
+        status: "fail",
+        message: `Session already has ${session.attendees.length} attendees`,
+      });
+    }
+
+    session.set(fields);
+
+    const conflict = event.validateSession(session);
+    if (conflict) {
+      return res.status(400).json({
+        status: "fail",
+        message: conflict,
+      });
+    }
+
+    await event.save({ validateModifiedOnly: true });
+    await eventReviewService.reopenForReview({ _id: event._id }, req.student._id, ["agenda"]);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        session,
+      },
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Remove a session from the agenda
+// @route   DELETE /api/events/:eventId/sessions/:sessionId
+// @access  Private/Organizer
+exports.deleteSession = async (req, res) => {
+  try {
+    const event = await Event.findOneAndUpdate(
+      { _id: req.params.eventId, "sessions._id": req.params.sessionId },
+      { $pull: { sessions: { _id: req.params.sessionId } } }
+    );
+
+    if (!event) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Session not found",
+      });
+    }
+
+    res.status(204).json({
+      status: "success",
+      data: null,
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Upload a speaker photo
+// @route   POST /api/events/:eventId/sessions/:sessionId/speakers/:speakerId/photo
+// @access  Private/Organizer
+exports.uploadSpeakerPhoto = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ status: "fail", message: "No file uploaded" });
+    }
+
+    const session = req.event.sessions.id(req.params.sessionId);
+    const speaker = session?.speakers.id(req.params.speakerId);
+
+    if (!speaker) {
+      return res
+        .status(404)
+        .json({ status: "fail", message: "Speaker not found" });
+    }
+
+    // Upload to Cloudinary
+    const result = await new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          folder: "speakers",
+          resource_type: "image",
+          public_id: `speaker_${speaker._id}_${Date.now()}`,
+          transformation: [{ width: 400, height: 400, crop: "limit" }],
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      );
+      streamifier.createReadStream(req.file.buffer).pipe(stream);
+    });
+
+    const event = await Event.findOneAndUpdate(
+      { _id: req.params.eventId },
+      {
+        $set: {
+          "sessions.$[session].speakers.$[speaker].photo": {
+            url: result.secure_url,
+            publicId: result.public_id,
+          },
+        },
+      },
+      {
+        new: true,
+        arrayFilters: [
+          { "session._id": session._id },
+          { "speaker._id": speaker._id },
+        ],
+      }
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        url: result.secure_url,
+        session: event.sessions.id(session._id),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ status: "fail", message: err.message });
+  }
+};
+
+// @desc    Pick a session to attend (must be enrolled in the event)
+// @route   POST /api/events/:eventId/sessions/:sessionId/attend
+// @access  Private/Participant
+exports.attendSession = async (req, res) => {
+  try {
+    const event = req.event;
+    const studentId = req.student._id;
+    const session = event.sessions.id(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Session not found",
+      });
+    }
+
+    if (!event.participants.includes(studentId)) {
+      return res.status(403).json({
+        status: "fail",
+        message: "Enroll in the event before picking sessions",
+      });
+    }
+
+    if (session.attendees.includes(studentId)) {
+      return res.status(400).json({
+        status: "fail",
+        message: "You are already attending this session",
+      });
+    }
+
+    const overlapping = event.findOverlappingSession(studentId, session);
+    if (overlapping) {
+      return res.status(400).json({
+        status: "fail",
+        message: `This session overlaps with "${overlapping.title}", which you are already attending`,
+      });
+    }
+
+    // Capacity is checked by the write itself: with capacity N, index N-1
+    // must not exist yet
+    const sessionFilter = { _id: session._id, attendees: { $ne: studentId } };
+    if (session.capacity) {
+      sessionFilter.capacity = session.capacity;
+      sessionFilter[`attendees.${session.capacity - 1}`] = { $exists: false };
+    }
+
+    const updatedEvent = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        participants: studentId,
+        sessions: { $elemMatch: sessionFilter },
+      },
+      { $addToSet: { "sessions.$.attendees": studentId } },
+      { new: true }
+    );
+
+    if (!updatedEvent) {
+      return res.status(400).json({
+        status: "fail",
+        message: "This session has reached maximum capacity",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "You are now attending this session",
+      data: {
+        session: updatedEvent.sessions.id(session._id),
+      },
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Stop attending a session
+// @route   DELETE /api/events/:eventId/sessions/:sessionId/attend
+// @access  Private/Participant
+exports.leaveSession = async (req, res) => {
+  try {
+    const event = await Event.findOneAndUpdate(
+      {
+        _id: req.params.eventId,
+        sessions: {
+          $elemMatch: { _id: req.params.sessionId, attendees: req.student._id },
+        },
+      },
+      { $pull: { "sessions.$.attendees": req.student._id } }
+    );
+
+    if (!event) {
+      return res.status(400).json({
+        status: "fail",
+        message: "You are not attending this session",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "You are no longer attending this session",
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
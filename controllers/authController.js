@@ -1,28 +1,32 @@
 const { OAuth2Client } = require("google-auth-library");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const mongoose = require("mongoose");
 const axios = require("axios");
 const AppError = require("../utils/appError");
 const Student = require("../models/student");
+const OrganizerApplication = require("../models/organizerApplication");
+const Throttle = require("../models/throttle");
+const organizerApplicationService = require("../services/organizerApplicationService");
+const sessionService = require("../services/sessionService");
+const twoFactorService = require("../services/twoFactorService");
+const accountPurgeService = require("../services/accountPurgeService");
+const {
+  sendVerificationEmail,
+  verifyVerificationToken,
+} = require("../utils/emailVerification");
+const {
+  createMagicLinkToken,
+  verifyMagicLinkToken,
+  sendMagicLinkEmail,
+} = require("../utils/magicLink");
+const { verifyRestoreToken, sendRestoreEmail } = require("../utils/accountRestore");
 
 // Initialize the client properly
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-// Utility function to sign JWT tokens
-const signToken = (student) => {
-  const payload = {
-    id: student._id,
-    email: student.email,
-    role: student.role,
-  };
-
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
-};
-
-// Send token response
-const sendTokenResponse = (student, token, statusCode, res) => {
+// Send token response. `refreshToken` is only passed when a session was just
+// created or refreshed.
+const sendTokenResponse = (student, token, statusCode, res, refreshToken) => {
   const studentResponse = {
     _id: student._id,
     id: student._id.toString(),
@@ -38,6 +42,7 @@ const sendTokenResponse = (student, token, statusCode, res) => {
     googleId: student.googleId,
     avatar: student.avatar,
     metaMaskAddress: student.metaMaskAddress,
+    walletVerified: student.walletVerified,
     createdAt: student.createdAt,
   };
 
@@ -50,40 +55,69 @@ const sendTokenResponse = (student, token, statusCode, res) => {
     secure: process.env.NODE_ENV === "development",
   });
 
+  if (refreshToken) {
+    setRefreshCookie(res, refreshToken);
+  }
+
   res.status(statusCode).json({
     status: true,
     token,
+    refreshToken,
     student: studentResponse,
     role: student.role,
   });
 };
 
-// Create and send token with response
-const createSendToken = (student, statusCode, res) => {
-  const token = signToken(student);
-  console.log(`Token generated for student ${student.email}: ${token}`);
+// The refresh token is only needed by the auth routes
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie("refreshToken", refreshToken, {
+    expires: new Date(Date.now() + sessionService.refreshTokenTtlMs),
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/auth",
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("jwt");
+  res.clearCookie("refreshToken", { path: "/api/auth" });
+};
 
-  // Initialize tokens array if undefined
-  if (!student.tokens) {
-    student.tokens = [];
-  }
+// Start a session and send its tokens with the response
+const createSendToken = async (student, statusCode, req, res) => {
+  const { accessToken, refreshToken } = await sessionService.create(student, req);
+  sendTokenResponse(student, accessToken, statusCode, res, refreshToken);
+};
 
-  // Store token in student's tokens array
-  student.tokens.push({ token });
+// First login step passed, a code is still needed (see verifyTwoFactorLogin)
+const sendTwoFactorChallenge = (student, res) =>
+  res.status(200).json({
+    status: "success",
+    twoFactorRequired: true,
+    challengeToken: twoFactorService.createLoginChallenge(student),
+    message: "Enter the code from your authenticator app to finish logging in",
+  });
 
-  // Save the student document
-  student
-    .save({ validateBeforeSave: false })
-    .then(() => {
-      sendTokenResponse(student, token, statusCode, res);
-    })
-    .catch((err) => {
-      console.error("Error saving token:", err);
-      res.status(500).json({
-        status: "error",
-        message: "Error saving token",
-      });
-    });
+// Profile fields students may change with PATCH /api/auth/update-me. Email
+// is handled separately, as a new address has to be verified again; the rest
+// (role, wallets, 2FA, login and deletion state) has its own endpoints or is
+// kept up to date by the server.
+const PROFILE_FIELDS = ["name", "year", "branch", "avatar"];
+
+// One verification email per minute and at most 5 an hour for each account.
+// Shared by every instance, unlike an in-memory counter.
+const canSendVerificationEmail = (studentId) =>
+  Throttle.attempt(`email-verification:${studentId}`, {
+    cooldownMs: 60 * 1000,
+    limit: 5,
+    windowMs: 60 * 60 * 1000,
+  });
+
+const queueVerificationEmail = (student) => {
+  sendVerificationEmail(student).catch((error) =>
+    console.error(`Failed to send verification email to ${student.email}:`, error.message)
+  );
 };
 
 // Verify captcha
@@ -113,8 +147,9 @@ const verifyCaptcha = async (token) => {
 // @access  Public
 exports.signup = async (req, res, next) => {
   try {
-    const { name, year, email, password, branch, role, captchaToken } =
-      req.body;
+    // Any role in the body is ignored: organizers are approved through
+    // /api/auth/organizer-application
+    const { name, year, email, password, branch, captchaToken } = req.body;
 
     // Validate required fields
     if (!name || !year || !email || !password || !branch) {
@@ -141,11 +176,15 @@ exports.signup = async (req, res, next) => {
       email: email.toLowerCase().trim(),
       password,
       branch: branch.toUpperCase(),
-      role: role || "participant",
+      role: "participant",
     });
 
+    // Always sent on signup; recorded so an immediate resend is throttled
+    await canSendVerificationEmail(newStudent._id);
+    queueVerificationEmail(newStudent);
+
     // 4) Generate JWT and send response
-    createSendToken(newStudent, 201, res);
+    await createSendToken(newStudent, 201, req, res);
   } catch (err) {
     // Handle duplicate key error
     if (err.code === 11000) {
@@ -208,9 +247,167 @@ exports.login = async (req, res, next) => {
       return next(new AppError("Invalid email or password", 401));
     }
 
+    // With 2FA on, the password alone only earns a challenge. Failed
+    // attempts are kept until the code is verified too.
+    if (student.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(student, res);
+    }
+
     // Reset login attempts on successful login
     await student.resetLoginAttempts();
-    createSendToken(student, 200, res);
+    await createSendToken(student, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Second login step for students with two-factor authentication
+// @route   POST /api/auth/login/2fa
+// @access  Public
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return next(
+        new AppError("Please provide the challenge token and an authentication or recovery code", 400)
+      );
+    }
+
+    const studentId = twoFactorService.verifyLoginChallenge(challengeToken);
+
+    const student = await Student.findOne({ _id: studentId, active: true }).select(
+      "+loginAttempts +lockUntil"
+    );
+
+    if (!student || !student.twoFactor?.enabled) {
+      return next(new AppError("Login challenge is invalid or has expired. Please log in again.", 401));
+    }
+
+    if (student.isLocked) {
+      return next(
+        new AppError("Account temporarily locked. Try again later.", 423)
+      );
+    }
+
+    const valid = await twoFactorService.verifyCode(student._id, { code, recoveryCode });
+
+    if (!valid) {
+      await student.incrementLoginAttempts();
+      return next(new AppError("Invalid authentication code", 401));
+    }
+
+    await student.resetLoginAttempts();
+    await createSendToken(student, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Email a one-time login link
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const { email, captchaToken } = req.body;
+
+    if (!email) {
+      return next(new AppError("Email is required", 400));
+    }
+
+    const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+    if (!emailRegex.test(email)) {
+      return next(new AppError("Please provide a valid email address", 400));
+    }
+
+    if (
+      process.env.REQUIRE_CAPTCHA === "true" &&
+      !(await verifyCaptcha(captchaToken))
+    ) {
+      return next(new AppError("Captcha verification failed", 400));
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Counted whether or not the account exists, so the limit doesn't
+    // reveal which emails are registered
+    const allowed = await Throttle.attempt(`magic-link:${normalizedEmail}`, {
+      cooldownMs: 60 * 1000,
+      limit: 5,
+      windowMs: 60 * 60 * 1000,
+    });
+    if (!allowed) {
+      return next(
+        new AppError("Please wait for 1min before requesting another login link", 429)
+      );
+    }
+
+    const student = await Student.findOne({ email: normalizedEmail, active: true });
+
+    if (student) {
+      const { token, linkIdHash } = createMagicLinkToken(student);
+
+      await Student.updateOne(
+        { _id: student._id },
+        { $set: { magicLinkTokenHash: linkIdHash } }
+      );
+
+      try {
+        await sendMagicLinkEmail(student, token);
+      } catch (error) {
+        await Student.updateOne(
+          { _id: student._id, magicLinkTokenHash: linkIdHash },
+          { $unset: { magicLinkTokenHash: 1 } }
+        );
+        return next(new AppError("Error sending email. Please try again later.", 500));
+      }
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "If the email exists, a login link has been sent",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Log in with a link from the magic-link email
+// @route   POST /api/auth/magic-link/:token
+// @access  Public
+exports.consumeMagicLink = async (req, res, next) => {
+  try {
+    let claims;
+    try {
+      claims = verifyMagicLinkToken(req.params.token);
+    } catch (error) {
+      return next(new AppError("Login link is invalid or has expired", 400));
+    }
+
+    // Clearing the stored hash uses the link up; opening it also proves the
+    // student owns the address
+    const student = await Student.findOneAndUpdate(
+      { _id: claims.studentId, magicLinkTokenHash: claims.linkIdHash, active: true },
+      { $unset: { magicLinkTokenHash: 1 } },
+      { new: true }
+    );
+
+    if (!student) {
+      return next(new AppError("Login link is invalid or has expired", 400));
+    }
+
+    if (!student.isVerified) {
+      student.isVerified = true;
+      student.emailVerifiedAt = new Date();
+      await student.save({ validateModifiedOnly: true });
+    }
+
+    if (student.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(student, res);
+    }
+
+    await student.resetLoginAttempts();
+    await createSendToken(student, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -272,6 +469,7 @@ exports.googleLogin = async (req, res) => {
         branch: "CSE",
         password: crypto.randomBytes(16).toString("hex"), // Dummy password for schema validation
         isVerified: true,
+        emailVerifiedAt: new Date(),
       });
       await student.save();
     } else if (!student.googleId) {
@@ -279,22 +477,25 @@ exports.googleLogin = async (req, res) => {
       student.googleId = googleId;
       student.avatar = picture;
       student.isVerified = true;
+      student.emailVerifiedAt = student.emailVerifiedAt || new Date();
       await student.save();
+    } else if (!student.isVerified) {
+      // Google has confirmed the address
+      student.isVerified = true;
+      student.emailVerifiedAt = new Date();
+      await student.save({ validateModifiedOnly: true });
     }
 
-    // Use the same signToken function for consistency
-    const token = signToken(student);
-
-    // For Google users, we might not need to save to tokens array
-    // But let's maintain consistency with your existing approach
-    if (student.tokens !== undefined) {
-      if (!student.tokens) {
-        student.tokens = [];
-      }
-      student.tokens.push({ token });
-      await student.save({ validateBeforeSave: false });
+    if (student.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(student, res);
     }
 
+    const { accessToken: token, refreshToken } = await sessionService.create(
+      student,
+      req
+    );
+    setRefreshCookie(res, refreshToken);
+
     // Create response matching your other auth endpoints
     const studentResponse = {
       _id: student._id,
@@ -315,6 +516,7 @@ exports.googleLogin = async (req, res) => {
     res.status(200).json({
       status: "success",
       token,
+      refreshToken,
       isNewUser,
       data: {
         student: studentResponse,
@@ -344,34 +546,317 @@ exports.googleLogin = async (req, res) => {
 // @access  Private
 exports.logout = async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.replace("Bearer ", "");
+    // End the current session; its access and refresh tokens stop working
+    await sessionService.revoke(req.sessionId, req.student._id, "logout");
 
-    if (!token) {
-      return res.status(200).json({
-        status: "success",
-        message: "Logged out successfully",
-      });
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      status: "success",
+      message: "Logged out successfully",
+    });
+  } catch (err) {
+    res.status(200).json({
+      status: "success",
+      message: "Logged out successfully",
+    });
+  }
+};
+
+// @desc    Get a new access token with a refresh token (rotates the refresh
+//          token; an already-used one revokes the session)
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshSession = async (req, res, next) => {
+  try {
+    const refreshToken = req.body.refreshToken || req.cookies?.refreshToken;
+
+    if (!refreshToken) {
+      return next(new AppError("Refresh token is required", 400));
+    }
+
+    let result;
+    try {
+      result = await sessionService.refresh(refreshToken, req);
+    } catch (err) {
+      clearAuthCookies(res);
+      throw err;
+    }
+
+    sendTokenResponse(result.student, result.accessToken, 200, res, result.refreshToken);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    List my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.list(req.student._id);
+
+    res.status(200).json({
+      status: "success",
+      results: sessions.length,
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          deviceName: session.deviceName,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId,
+        })),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke one of my sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return next(new AppError("Invalid session ID", 400));
+    }
+
+    const revoked = await sessionService.revoke(req.params.sessionId, req.student._id);
+
+    if (!revoked) {
+      return next(new AppError("No active session found with that ID", 404));
+    }
+
+    if (req.params.sessionId === req.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Session revoked",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke all my sessions except this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.student._id, {
+      except: req.sessionId,
+      reason: "revoked_others",
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: `Signed out of ${revoked} other session${revoked === 1 ? "" : "s"}`,
+      data: {
+        revoked,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Confirm an email address from a verification link
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    let claims;
+    try {
+      claims = verifyVerificationToken(req.params.token);
+    } catch (error) {
+      return next(new AppError("Verification link is invalid or has expired", 400));
     }
 
-    // Remove the current token
-    req.student.tokens = req.student.tokens.filter(
-      (tokenObj) => tokenObj.token !== token
+    // Matching on the email ignores links sent to an address since changed
+    const student = await Student.findOneAndUpdate(
+      { _id: claims.studentId, email: claims.email },
+      { $set: { isVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
     );
 
-    await req.student.save({ validateBeforeSave: false });
+    if (!student) {
+      return next(new AppError("Verification link is invalid or has expired", 400));
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Your email has been verified",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Send the verification email again
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    if (req.student.isVerified) {
+      return next(new AppError("Your email is already verified", 400));
+    }
+
+    if (!(await canSendVerificationEmail(req.student._id))) {
+      return next(
+        new AppError("Please wait a minute before requesting another verification email", 429)
+      );
+    }
 
-    // Clear cookie
-    res.clearCookie("jwt");
+    queueVerificationEmail(req.student);
 
     res.status(200).json({
       status: "success",
-      message: "Logged out successfully",
+      message: `A verification link has been sent to ${req.student.email}`,
     });
   } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get my two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const enabled = !!req.student.twoFactor?.enabled;
+
     res.status(200).json({
       status: "success",
-      message: "Logged out successfully",
+      data: {
+        enabled,
+        enabledAt: req.student.twoFactor?.enabledAt,
+        required: twoFactorService.isRequiredFor(req.student.role),
+        recoveryCodesRemaining: enabled
+          ? await twoFactorService.countRecoveryCodes(req.student._id)
+          : 0,
+      },
     });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start two-factor setup: get a secret / QR code for an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.student);
+
+    res.status(200).json({
+      status: "success",
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      data: enrollment,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Confirm two-factor setup with a code from the app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.body.code) {
+      return next(new AppError("Please provide the code from your authenticator app", 400));
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(
+      req.student._id,
+      req.body.code
+    );
+
+    // Other devices logged in with the password alone
+    await sessionService.revokeAll(req.student._id, {
+      except: req.sessionId,
+      reason: "two_factor_enabled",
+    });
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Two-factor authentication is on. Store these recovery codes somewhere safe, they won't be shown again.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Replace my recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    if (!req.student.twoFactor?.enabled) {
+      return next(new AppError("Two-factor authentication is not enabled", 400));
+    }
+
+    const valid = await twoFactorService.verifyCode(req.student._id, {
+      code: req.body.code,
+    });
+    if (!valid) {
+      return next(new AppError("Invalid authentication code", 401));
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.student._id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Your old recovery codes no longer work",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   DELETE /api/auth/2fa
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.student.twoFactor?.enabled) {
+      return next(new AppError("Two-factor authentication is not enabled", 400));
+    }
+
+    if (twoFactorService.isRequiredFor(req.student.role)) {
+      return next(
+        new AppError(`Two-factor authentication is required for ${req.student.role} accounts`, 403)
+      );
+    }
+
+    const { code, recoveryCode } = req.body;
+    const valid = await twoFactorService.verifyCode(req.student._id, { code, recoveryCode });
+    if (!valid) {
+      return next(new AppError("Invalid authentication code", 401));
+    }
+
+    await twoFactorService.disable(req.student._id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Two-factor authentication has been turned off",
+    });
+  } catch (err) {
+    next(err);
   }
 };
 
@@ -412,8 +897,9 @@ exports.changePassword = async (req, res, next) => {
     student.password = newPassword;
     await student.save();
 
-    // Generate new token after password change
-    createSendToken(student, 200, res);
+    // Sign out everywhere, then start a fresh session here
+    await sessionService.revokeAll(student._id, { reason: "password_changed" });
+    await createSendToken(student, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -424,29 +910,29 @@ exports.changePassword = async (req, res, next) => {
 // @access  Private
 exports.updateMe = async (req, res, next) => {
   try {
-    // Filter out restricted fields
-    const restrictedFields = [
-      "password",
-      "role",
-      "active",
-      "tokens",
-      "googleId",
-    ];
-    restrictedFields.forEach((field) => delete req.body[field]);
+    const update = {};
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
 
     // Validate email if being updated
-    if (req.body.email && req.body.email !== req.student.email) {
-      const existingStudent = await Student.findOne({
-        email: req.body.email.toLowerCase().trim(),
-      });
+    const email = typeof req.body.email === "string" ? req.body.email.toLowerCase().trim() : null;
+    const emailChanged = !!email && email !== req.student.email;
+    if (emailChanged) {
+      const existingStudent = await Student.findOne({ email });
       if (existingStudent) {
         return next(new AppError("Email already in use", 400));
       }
+
+      // A new address has to be verified again
+      update.email = email;
+      update.isVerified = false;
+      update.emailVerifiedAt = null;
     }
 
     const updatedStudent = await Student.findByIdAndUpdate(
       req.student._id,
-      req.body,
+      update,
       {
         new: true,
         runValidators: true,
@@ -457,6 +943,10 @@ exports.updateMe = async (req, res, next) => {
     if (!updatedStudent) {
       return next(new AppError("User not found", 404));
     }
+    // Otherwise they can ask for the link again once the throttle allows it
+    if (emailChanged && (await canSendVerificationEmail(updatedStudent._id))) {
+      queueVerificationEmail(updatedStudent);
+    }
     if (req.token) {
       sendTokenResponse(updatedStudent, req.token, 200, res);
     } else {
@@ -484,7 +974,37 @@ exports.updateMe = async (req, res, next) => {
 // @access  Private
 exports.deleteMe = async (req, res, next) => {
   try {
-    await Student.findByIdAndUpdate(req.student._id, { active: false });
+    const owned = await accountPurgeService.findOwnedContent(req.student._id);
+    if (owned.length) {
+      return next(
+        new AppError(
+          `Hand over or delete your ${owned.join(", ")} before deleting your account`,
+          409
+        )
+      );
+    }
+
+    const deletedAt = new Date();
+    const student = await Student.findByIdAndUpdate(
+      req.student._id,
+      {
+        $set: {
+          active: false,
+          deletedAt,
+          purgeAfter: accountPurgeService.purgeDateFrom(deletedAt),
+        },
+        $unset: { magicLinkTokenHash: 1 },
+      },
+      { new: true }
+    );
+    await sessionService.revokeAll(req.student._id);
+    clearAuthCookies(res);
+
+    sendRestoreEmail(student, accountPurgeService.getCertificateNotice()).catch(
+      (error) => {
+        console.error(`Failed to send restore email to ${student.email}:`, error.message);
+      }
+    );
 
     res.status(204).json({
       status: "success",
@@ -495,6 +1015,93 @@ exports.deleteMe = async (req, res, next) => {
   }
 };
 
+// @desc    Email a new link to restore a deleted account
+// @route   POST /api/auth/restore
+// @access  Public
+exports.requestAccountRestore = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return next(new AppError("Email is required", 400));
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const allowed = await Throttle.attempt(`account-restore:${normalizedEmail}`, {
+      cooldownMs: 60 * 1000,
+      limit: 5,
+      windowMs: 60 * 60 * 1000,
+    });
+    if (!allowed) {
+      return next(
+        new AppError("Please wait for 1min before requesting another restore link", 429)
+      );
+    }
+
+    const student = await Student.findOne({
+      email: normalizedEmail,
+      active: false,
+      purgeAfter: { $gt: new Date() },
+    });
+
+    if (student) {
+      try {
+        await sendRestoreEmail(student, accountPurgeService.getCertificateNotice());
+      } catch (error) {
+        return next(new AppError("Error sending email. Please try again later.", 500));
+      }
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "If a deleted account exists for this email, a restore link has been sent",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Restore a deleted account from the emailed link and log in
+// @route   POST /api/auth/restore/:token
+// @access  Public
+exports.restoreAccount = async (req, res, next) => {
+  try {
+    let claims;
+    try {
+      claims = verifyRestoreToken(req.params.token);
+    } catch (error) {
+      return next(new AppError("Restore link is invalid or has expired", 400));
+    }
+
+    const student = await Student.findOneAndUpdate(
+      {
+        _id: claims.studentId,
+        active: false,
+        deletedAt: claims.deletedAt,
+        purgeAfter: { $gt: new Date() },
+      },
+      {
+        $set: { active: true },
+        $unset: { deletedAt: 1, purgeAfter: 1 },
+      },
+      { new: true }
+    );
+
+    if (!student) {
+      return next(new AppError("Restore link is invalid or has expired", 400));
+    }
+
+    if (student.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(student, res);
+    }
+
+    await createSendToken(student, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Update password
 // @route   PATCH /api/auth/update-password
 // @access  Private
@@ -513,8 +1120,9 @@ exports.updatePassword = async (req, res, next) => {
     student.passwordChangedAt = Date.now() - 1000;
     await student.save();
 
-    // 4) Log student in, send JWT
-    createSendToken(student, 200, res);
+    // 4) Sign out other devices and log student in here, send JWT
+    await sessionService.revokeAll(student._id, { reason: "password_changed" });
+    await createSendToken(student, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -601,32 +1209,58 @@ exports.deleteAvatar = async (req, res, next) => {
   }
 };
 
-// @desc    Change role
-// @route   PATCH /api/auth/upgrade-to-organizer
+// @desc    Apply to become an organizer
+// @route   POST /api/auth/organizer-application
 // @access  Private
-exports.upgradeToOrganizer = async (req, res, next) => {
+exports.applyForOrganizer = async (req, res, next) => {
   try {
-    // 1) Check if already an organizer
-    if (req.student.role === "organizer") {
-      return next(new AppError("You are already an organizer", 400));
-    }
+    const { clubName, justification } = req.body;
 
-    // 2) Upgrade to organizer
-    const student = await Student.findByIdAndUpdate(
-      req.student._id,
-      { role: "organizer" },
-      { new: true, runValidators: true }
-    );
+    const application = await organizerApplicationService.apply(req.student, {
+      clubName,
+      justification,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Your application has been submitted for review",
+      data: {
+        application,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Old self-service organizer upgrade, replaced by applications
+// @route   PATCH /api/auth/upgrade-to-organizer
+// @access  Private
+exports.upgradeToOrganizer = (req, res, next) => {
+  next(
+    new AppError(
+      "This endpoint has been removed. Apply with POST /api/auth/organizer-application instead.",
+      410
+    )
+  );
+};
+
+// @desc    Get my organizer applications, newest first
+// @route   GET /api/auth/organizer-application
+// @access  Private
+exports.getMyOrganizerApplications = async (req, res, next) => {
+  try {
+    const applications = await OrganizerApplication.find({
+      student: req.student._id,
+    })
+      .select("-reviewedBy")
+      .sort({ createdAt: -1 });
 
     res.status(200).json({
       status: "success",
-      message: "You are now an organizer!",
+      results: applications.length,
       data: {
-        student: {
-          id: student._id,
-          name: student.name,
-          role: student.role,
-        },
+        applications,
       },
     });
   } catch (err) {
@@ -0,0 +1,189 @@
+const Event = require("../models/event");
+const IssuanceJob = require("../models/issuanceJob");
+const bulkIssuanceService = require("../services/bulkIssuanceService");
+
+const canManageJob = (job, student) =>
+  job.createdBy.equals(student._id) || student.role === "admin";
+
+const jobSummary = (job, { includeRows = false } = {}) => ({
+  id: job._id,
+  event: job.event,
+  fileName: job.fileName,
+  status: job.status,
+  summary: job.summary,
+  progress: job.progress,
+  lastError: job.lastError,
+  committedAt: job.committedAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  expiresAt: job.expiresAt,
+  rows: includeRows ? job.rows : undefined,
+});
+
+// Load an event the current user may issue certificates for, or send the
+// error response and return null
+const loadIssuableEvent = async (eventId, req, res) => {
+  const event = await Event.findById(eventId).lean();
+  if (!event) {
+    res.status(404).json({
+      status: "fail",
+      message: "Event not found",
+    });
+    return null;
+  }
+
+  if (event.organizer.toString() !== req.student._id.toString() && req.student.role !== "admin") {
+    res.status(403).json({
+      status: "fail",
+      message: "You are not authorized to issue certificates for this event",
+    });
+    return null;
+  }
+
+  if (event.status !== "completed") {
+    res.status(400).json({
+      status: "fail",
+      message: "Certificates can only be issued for completed events",
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// @desc    Upload a winners CSV and get a dry-run report
+// @route   POST /api/certificates/event/:eventId/bulk
+// @access  Private (Organizer/Admin)
+exports.uploadBulkIssuance = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: "fail",
+        message: "A CSV file is required",
+      });
+    }
+
+    const event = await loadIssuableEvent(req.params.eventId, req, res);
+    if (!event) return;
+
+    const job = await bulkIssuanceService.createPreview(event, req.student, req.file);
+
+    res.status(201).json({
+      status: "success",
+      data: {
+        job: jobSummary(job, { includeRows: true }),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Commit a dry-run and issue its certificates in the background
+// @route   POST /api/certificates/jobs/:jobId/commit
+// @access  Private (Organizer/Admin)
+exports.commitBulkIssuance = async (req, res, next) => {
+  try {
+    const job = await IssuanceJob.findById(req.params.jobId);
+
+    if (!job || !canManageJob(job, req.student)) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Job not found",
+      });
+    }
+
+    if (job.status !== "preview") {
+      return res.status(409).json({
+        status: "fail",
+        message: "This job has already been committed",
+      });
+    }
+
+    const event = await loadIssuableEvent(job.event, req, res);
+    if (!event) return;
+
+    const { job: result, queued } = await bulkIssuanceService.commit(job, event, req.student, {
+      skipInvalid: req.body.skipInvalid === true,
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        status: "fail",
+        message: "This job has already been committed",
+      });
+    }
+
+    if (!queued) {
+      return res.status(422).json({
+        status: "fail",
+        message:
+          "Some rows are invalid - fix the file and upload it again, or commit with skipInvalid to issue only the valid rows",
+        data: {
+          job: jobSummary(result, { includeRows: true }),
+        },
+      });
+    }
+
+    res.status(202).json({
+      status: "success",
+      data: {
+        job: jobSummary(result),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a bulk issuance job's status and progress
+// @route   GET /api/certificates/jobs/:jobId
+// @access  Private (Organizer/Admin)
+exports.getBulkIssuanceJob = async (req, res, next) => {
+  try {
+    const job = await IssuanceJob.findById(req.params.jobId);
+
+    if (!job || !canManageJob(job, req.student)) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Job not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        job: jobSummary(job, {
+          includeRows: job.status === "preview" || req.query.rows === "true",
+        }),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Download a bulk issuance job's per-row results as CSV
+// @route   GET /api/certificates/jobs/:jobId/results.csv
+// @access  Private (Organizer/Admin)
+exports.downloadBulkIssuanceResults = async (req, res, next) => {
+  try {
+    const job = await IssuanceJob.findById(req.params.jobId);
+
+    if (!job || !canManageJob(job, req.student)) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Job not found",
+      });
+    }
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="issuance-${job._id}-results.csv"`
+    );
+    res.status(200).send(bulkIssuanceService.buildResultCsv(job));
+  } catch (err) {
+    next(err);
+  }
+};
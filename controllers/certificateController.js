@@ -1,6 +1,25 @@
+const mongoose = require("mongoose");
 const Certificate = require("../models/certificate");
 const Student = require("../models/student");
 const Event = require("../models/event");
+const certificateService = require("../services/certificateService");
+const anchoringService = require("../services/anchoringService");
+const certificateStorageService = require("../services/certificateStorageService");
+const bulkIssuanceService = require("../services/bulkIssuanceService");
+const {
+  getJwks,
+  signJws,
+  verifySignedCertificate,
+} = require("../utils/certificateSigning");
+const {
+  buildCredential,
+  buildIssuerProfile,
+  signCredential,
+} = require("../utils/credentials");
+
+// Origin of this API, used for credential and issuer ids
+const getApiBaseUrl = (req) =>
+  process.env.API_BASE_URL || `${req.protocol}://${req.get("host")}`;
 
 // @desc    Issue certificates to winners
 // @route   POST /api/certificates/issue
@@ -62,11 +81,6 @@ exports.issueCertificates = async (req, res, next) => {
           continue;
         }
 
-        if (!certificateURL || !certificateURL.trim()) {
-          errors.push(`Missing certificate URL for ${studentEmail}`);
-          continue;
-        }
-
         // Validate email format
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(studentEmail.trim())) {
@@ -74,9 +88,10 @@ exports.issueCertificates = async (req, res, next) => {
           continue;
         }
 
-        // Validate URL format
+        // Validate URL format (optional - without one the PDF is rendered
+        // from the event's certificate template)
         const urlRegex = /^https?:\/\/.+\..+/;
-        if (!urlRegex.test(certificateURL.trim())) {
+        if (certificateURL && !urlRegex.test(certificateURL.trim())) {
           errors.push(`Invalid certificate URL format for ${studentEmail}`);
           continue;
         }
@@ -88,9 +103,9 @@ exports.issueCertificates = async (req, res, next) => {
           continue;
         }
 
-        // Check if student has MetaMask address
-        if (!student.metaMaskAddress) {
-          errors.push(`Student ${studentEmail} does not have a MetaMask address linked`);
+        // Check if student has a MetaMask address they've proven they own
+        if (!student.metaMaskAddress || !student.walletVerified) {
+          errors.push(`Student ${studentEmail} does not have a verified MetaMask address linked`);
           continue;
         }
 
@@ -98,34 +113,24 @@ exports.issueCertificates = async (req, res, next) => {
         const existingCertificate = await Certificate.findOne({
           event: eventId,
           student: student._id,
+          type: { $ne: "participation" },
         });
 
         if (existingCertificate) {
-          errors.push(`Certificate already exists for ${studentEmail} in this event`);
+          errors.push(`Winner certificate already exists for ${studentEmail} in this event`);
           continue;
         }
 
-        // Create certificate with all required fields
-        const certificateData = {
-          event: eventId,
-          student: student._id,
-          studentEmail: student.email,
-          metaMaskAddress: student.metaMaskAddress,
-          eventName: event.title,
-          winnerPosition: winnerPosition || 1,
-          certificateURL: certificateURL.trim(),
-          issuer: req.student._id,
-          metadata: {
-            issueDate: new Date(),
-            skills: event.category ? [event.category] : [],
-            description: `Awarded for ${winnerPosition === 1 ? '1st' : winnerPosition === 2 ? '2nd' : winnerPosition === 3 ? '3rd' : `${winnerPosition}th`} place in ${event.title}`
-          }
-        };
-
-        // Create and save certificate
-        const certificate = new Certificate(certificateData);
-        await certificate.save();
-        
+        const certificate = await bulkIssuanceService.createWinnerCertificate(
+          event,
+          student,
+          {
+            winnerPosition,
+            certificateURL: certificateURL ? certificateURL.trim() : undefined,
+          },
+          req.student._id
+        );
+
         console.log('Certificate saved successfully:', certificate.certificateId);
 
         // Populate the certificate with student and event details
@@ -137,6 +142,13 @@ exports.issueCertificates = async (req, res, next) => {
         issuedCertificates.push(populatedCertificate);
 
       } catch (error) {
+        // Issued concurrently by another request or bulk job
+        if (error.code === 11000) {
+          errors.push(
+            `Winner certificate already exists for ${winnerData.studentEmail} in this event`
+          );
+          continue;
+        }
         console.error(`Error processing ${winnerData.studentEmail}:`, error);
         errors.push(`Error processing ${winnerData.studentEmail}: ${error.message}`);
       }
@@ -167,6 +179,64 @@ exports.issueCertificates = async (req, res, next) => {
   }
 };
 
+// @desc    Issue participation certificates for a completed event
+// @route   POST /api/certificates/event/:eventId/participation
+// @access  Private (Organizer/Admin)
+exports.issueParticipationCertificates = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Event not found",
+      });
+    }
+
+    if (!event.organizer.equals(req.student._id) && req.student.role !== "admin") {
+      return res.status(403).json({
+        status: "fail",
+        message: "You are not authorized to issue certificates for this event",
+      });
+    }
+
+    if (!event.digitalCertificates) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Digital certificates are not enabled for this event",
+      });
+    }
+
+    if (event.status !== "completed") {
+      return res.status(400).json({
+        status: "fail",
+        message: "Certificates can only be issued for completed events",
+      });
+    }
+
+    if (event.approvalStatus !== "published") {
+      return res.status(400).json({
+        status: "fail",
+        message: "Certificates can only be issued for published events",
+      });
+    }
+
+    const { issued, skipped } = await certificateService.issueParticipationCertificates(
+      event._id
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: `Successfully issued ${issued.length} participation certificates`,
+      data: {
+        certificates: issued,
+        skipped,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Get certificates for logged-in student
 // @route   GET /api/certificates/my-certificates
 // @access  Private
@@ -179,11 +249,19 @@ exports.getMyCertificates = async (req, res, next) => {
       .lean(); // Use lean() to avoid virtual field issues
 
     // Transform the certificates to include virtual fields manually
-    const transformedCertificates = certificates.map(cert => ({
-      ...cert,
-      positionLabel: getPositionLabel(cert.winnerPosition),
-      isBlockchainVerified: !!cert.blockchainTxHash
-    }));
+    const transformedCertificates = certificates.map(cert => {
+      const type = cert.type || "winner";
+      const positionLabel = type === "winner" ? getPositionLabel(cert.winnerPosition) : null;
+      return {
+        ...cert,
+        type,
+        positionLabel,
+        achievement: positionLabel ? `${positionLabel} place` : "Participation",
+        pdfPath: `/api/certificates/${cert.certificateId}/pdf`,
+        credentialPath: `/api/certificates/${cert.certificateId}/credential`,
+        isBlockchainVerified: !!cert.blockchainTxHash
+      };
+    });
 
     res.status(200).json({
       status: "success",
@@ -208,7 +286,7 @@ function getPositionLabel(position) {
   return positions[position - 1] || `${position}th`;
 }
 
-// @desc    Get certificates by MetaMask address
+// @desc    Get certificates by any linked MetaMask address
 // @route   GET /api/certificates/by-wallet/:metaMaskAddress
 // @access  Public
 exports.getCertificatesByWallet = async (req, res, next) => {
@@ -222,8 +300,18 @@ exports.getCertificatesByWallet = async (req, res, next) => {
       });
     }
 
-    const certificates = await Certificate.find({ 
-      metaMaskAddress: metaMaskAddress.toLowerCase(),
+    const address = metaMaskAddress.toLowerCase();
+
+    // A verified wallet resolves to its student, so certificates still bound
+    // to their older wallets are found too
+    const owner = await Student.findOne({
+      wallets: { $elemMatch: { address, verified: true, unlinkedAt: null } },
+    }).select("_id");
+
+    const certificates = await Certificate.find({
+      $or: owner
+        ? [{ metaMaskAddress: address }, { student: owner._id }]
+        : [{ metaMaskAddress: address }],
       status: { $ne: "revoked" }
     })
       .populate("event", "title category date location")
@@ -266,18 +354,117 @@ exports.verifyCertificate = async (req, res, next) => {
       return res.status(410).json({
         status: "fail",
         message: "This certificate has been revoked",
+        data: {
+          revocation: {
+            reasonCode: certificate.revocation?.reasonCode || null,
+            revokedAt: certificate.revocation?.revokedAt || null,
+          },
+        },
       });
     }
 
+    const [blockchain, file] = await Promise.all([
+      anchoringService.verifyCertificate(certificate),
+      certificateStorageService.verifyFile(certificate),
+    ]);
+
+    // A record edited after signing no longer matches its signature. Only
+    // legacy certificates issued before signing existed pass unsigned.
+    const signature = certificate.checkSignature();
+    const isValid = !signature.signed || signature.valid;
+
     res.status(200).json({
       status: "success",
       data: {
         certificate,
         verification: {
-          isValid: true,
+          isValid,
+          reason: isValid ? undefined : signature.error,
+          type: certificate.type,
+          achievement: certificate.achievement,
           status: certificate.status,
           issuedAt: certificate.issuedAt,
-          blockchainVerified: certificate.isBlockchainVerified(),
+          blockchainVerified: blockchain.onChain === true,
+          blockchain,
+          file,
+          signature,
+        },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Public keys certificates are signed with (JWK Set)
+// @route   GET /api/certificates/jwks.json
+// @access  Public
+exports.getSigningKeys = async (req, res, next) => {
+  try {
+    res.set("Cache-Control", "public, max-age=3600");
+    res.status(200).json(getJwks());
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Verify a signed certificate payload using only our public keys
+// @route   POST /api/certificates/verify
+// @access  Public
+exports.verifySignedPayload = async (req, res, next) => {
+  try {
+    let { token } = req.body;
+
+    // Accept the full URL scanned from a certificate QR code as well
+    if (typeof token === "string" && token.includes("?sig=")) {
+      token = new URL(token, "http://localhost").searchParams.get("sig");
+    }
+
+    if (!token) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Signed certificate token is required",
+      });
+    }
+
+    let verified;
+    try {
+      verified = verifySignedCertificate(token);
+    } catch (error) {
+      return res.status(400).json({
+        status: "fail",
+        message: error.message,
+        data: {
+          verification: {
+            isValid: false,
+          },
+        },
+      });
+    }
+
+    const { claims, kid } = verified;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        certificate: {
+          certificateId: claims.cid,
+          type: claims.type,
+          recipient: claims.name,
+          student: claims.sub,
+          event: claims.evt,
+          eventName: claims.event,
+          winnerPosition: claims.pos,
+          issuer: claims.iss,
+          issuedAt: new Date(claims.iat * 1000),
+          verificationURL: claims.url,
+        },
+        verification: {
+          isValid: true,
+          kid,
+          // The signature proves issuance; revocation needs an online check
+          revocationCheck: claims.url,
+          revocationList: `${getApiBaseUrl(req)}/api/certificates/revocations`,
         },
       },
     });
@@ -286,6 +473,192 @@ exports.verifyCertificate = async (req, res, next) => {
   }
 };
 
+// @desc    Export a certificate as a signed Open Badges 3.0 / W3C Verifiable Credential
+// @route   GET /api/certificates/:certificateId/credential?format=openbadge|vc
+// @access  Public
+exports.exportCredential = async (req, res, next) => {
+  try {
+    const format = req.query.format || "openbadge";
+
+    if (!["openbadge", "vc"].includes(format)) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Format must be openbadge or vc",
+      });
+    }
+
+    const certificate = await Certificate.findOne({
+      certificateId: req.params.certificateId,
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Certificate not found",
+      });
+    }
+
+    if (certificate.status === "revoked") {
+      return res.status(410).json({
+        status: "fail",
+        message: "This certificate has been revoked",
+      });
+    }
+
+    // The issuer profile is the event's organizer
+    const event = await Event.findById(certificate.event)
+      .select("organizer")
+      .populate("organizer", "name");
+    const organizer =
+      event?.organizer || (await Student.findById(certificate.issuer).select("name"));
+
+    if (!organizer) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Certificate issuer not found",
+      });
+    }
+
+    const credential = signCredential(
+      buildCredential(certificate, {
+        baseUrl: getApiBaseUrl(req),
+        organizer,
+        format,
+      })
+    );
+
+    if (req.query.download === "true") {
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="${certificate.certificateId}.${format}.json"`
+      );
+    }
+    res.set("Content-Type", "application/ld+json");
+    res.status(200).send(JSON.stringify(credential, null, 2));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Issuer profile of an organizer, with the keys their credentials verify with
+// @route   GET /api/certificates/issuers/:organizerId
+// @access  Public
+exports.getIssuerProfile = async (req, res, next) => {
+  try {
+    const { organizerId } = req.params;
+    const organizer = mongoose.isValidObjectId(organizerId)
+      ? await Student.findById(organizerId).select("name role")
+      : null;
+
+    // Only organizers, admins and anyone who has issued certificates have a
+    // profile, so this can't be used to look up any student's name
+    const isIssuer =
+      organizer &&
+      (["organizer", "admin"].includes(organizer.role) ||
+        (await Certificate.exists({ issuer: organizer._id })));
+
+    if (!isIssuer) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Issuer not found",
+      });
+    }
+
+    res.set("Content-Type", "application/ld+json");
+    res
+      .status(200)
+      .send(JSON.stringify(buildIssuerProfile(organizer, getApiBaseUrl(req)), null, 2));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Download a certificate as PDF, rendered from the event's template
+// @route   GET /api/certificates/:certificateId/pdf
+// @access  Public
+exports.downloadCertificatePdf = async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findOne({
+      certificateId: req.params.certificateId,
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Certificate not found",
+      });
+    }
+
+    if (certificate.status === "revoked") {
+      return res.status(410).json({
+        status: "fail",
+        message: "This certificate has been revoked",
+      });
+    }
+
+    // Serve the snapshot taken at issuance when there is one, so later
+    // template edits don't change an issued certificate
+    let stored = null;
+    if (certificate.file?.source === "rendered") {
+      stored = await certificateStorageService.getStoredFile(certificate);
+    }
+
+    const pdf = stored
+      ? stored.data
+      : await certificateStorageService.renderPdf(certificate);
+
+    const disposition = req.query.download === "true" ? "attachment" : "inline";
+    res.set("Content-Type", "application/pdf");
+    res.set(
+      "Content-Disposition",
+      `${disposition}; filename="${certificate.certificateId}.pdf"`
+    );
+    res.status(200).send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Download the stored, content-addressed certificate file
+// @route   GET /api/certificates/:certificateId/file
+// @access  Public
+exports.downloadCertificateFile = async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findOne({
+      certificateId: req.params.certificateId,
+    });
+
+    if (!certificate) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Certificate not found",
+      });
+    }
+
+    if (certificate.status === "revoked") {
+      return res.status(410).json({
+        status: "fail",
+        message: "This certificate has been revoked",
+      });
+    }
+
+    const stored = await certificateStorageService.getStoredFile(certificate);
+    if (!stored) {
+      return res.status(404).json({
+        status: "fail",
+        message: "No stored file for this certificate yet",
+      });
+    }
+
+    res.set("Content-Type", stored.contentType);
+    res.set("ETag", `"${certificate.ipfsHash}"`);
+    res.set("Cache-Control", "public, max-age=31536000, immutable");
+    res.status(200).send(stored.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Get event certificates (for organizers)
 // @route   GET /api/certificates/event/:eventId
 // @access  Private (Organizer/Admin)
@@ -309,9 +682,16 @@ exports.getEventCertificates = async (req, res, next) => {
       });
     }
 
-    const certificates = await Certificate.find({ event: eventId })
+    const filter = { event: eventId };
+    if (req.query.type === "participation") {
+      filter.type = "participation";
+    } else if (req.query.type === "winner") {
+      filter.type = { $ne: "participation" };
+    }
+
+    const certificates = await Certificate.find(filter)
       .populate("student", "name email year branch metaMaskAddress")
-      .sort({ winnerPosition: 1 });
+      .sort({ type: -1, winnerPosition: 1 });
 
     res.status(200).json({
       status: "success",
@@ -330,12 +710,27 @@ exports.getEventCertificates = async (req, res, next) => {
   }
 };
 
-// @desc    Revoke certificate
+// @desc    Revoke certificate with a reason
 // @route   PATCH /api/certificates/revoke/:certificateId
 // @access  Private (Organizer/Admin)
 exports.revokeCertificate = async (req, res, next) => {
   try {
     const { certificateId } = req.params;
+    const { reasonCode, note } = req.body;
+
+    if (!Certificate.REVOCATION_REASONS.includes(reasonCode)) {
+      return res.status(400).json({
+        status: "fail",
+        message: `reasonCode must be one of: ${Certificate.REVOCATION_REASONS.join(", ")}`,
+      });
+    }
+
+    if (typeof note !== "string" || !note.trim()) {
+      return res.status(400).json({
+        status: "fail",
+        message: "A note explaining the revocation is required",
+      });
+    }
 
     const certificate = await Certificate.findOne({ certificateId })
       .populate("event");
@@ -348,19 +743,72 @@ exports.revokeCertificate = async (req, res, next) => {
     }
 
     // Check if user is event organizer or admin
-    if (!certificate.event.organizer.equals(req.student._id) && req.student.role !== "admin") {
+    if (!certificate.event?.organizer.equals(req.student._id) && req.student.role !== "admin") {
       return res.status(403).json({
         status: "fail",
         message: "Not authorized to revoke this certificate",
       });
     }
 
-    certificate.status = "revoked";
-    await certificate.save();
+    const revoked = await Certificate.changeStatus(certificateId, {
+      from: ["issued", "verified"],
+      to: "revoked",
+      reasonCode,
+      note: note.trim(),
+      changedBy: req.student._id,
+    });
+
+    if (!revoked) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Certificate is already revoked",
+      });
+    }
 
     res.status(200).json({
       status: "success",
       message: "Certificate revoked successfully",
+      data: {
+        certificate: revoked,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Reinstate a revoked certificate
+// @route   PATCH /api/certificates/reinstate/:certificateId
+// @access  Private (Admin)
+exports.reinstateCertificate = async (req, res, next) => {
+  try {
+    const { note } = req.body;
+
+    if (typeof note !== "string" || !note.trim()) {
+      return res.status(400).json({
+        status: "fail",
+        message: "A note explaining the reinstatement is required",
+      });
+    }
+
+    const certificate = await Certificate.changeStatus(req.params.certificateId, {
+      from: ["revoked"],
+      to: "issued",
+      note: note.trim(),
+      changedBy: req.student._id,
+    });
+
+    if (!certificate) {
+      const exists = await Certificate.exists({ certificateId: req.params.certificateId });
+      return res.status(exists ? 400 : 404).json({
+        status: "fail",
+        message: exists ? "Certificate is not revoked" : "Certificate not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Certificate reinstated successfully",
       data: {
         certificate,
       },
@@ -368,4 +816,133 @@ exports.revokeCertificate = async (req, res, next) => {
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Status history of a certificate
+// @route   GET /api/certificates/:certificateId/history
+// @access  Private (Organizer/Admin)
+exports.getCertificateHistory = async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findOne({
+      certificateId: req.params.certificateId,
+    })
+      .select("certificateId event status revocation statusHistory")
+      .populate("event", "organizer")
+      .populate("statusHistory.changedBy", "name email role");
+
+    if (!certificate) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Certificate not found",
+      });
+    }
+
+    if (!certificate.event?.organizer.equals(req.student._id) && req.student.role !== "admin") {
+      return res.status(403).json({
+        status: "fail",
+        message: "Not authorized to view this certificate's history",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        certificateId: certificate.certificateId,
+        status: certificate.status,
+        revocation: certificate.revocation,
+        history: certificate.statusHistory,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Revocation list position: the last entry's statusChangedAt and _id
+const encodeRevocationCursor = (certificate) =>
+  Buffer.from(
+    `${certificate.statusChangedAt.toISOString()}_${certificate._id}`
+  ).toString("base64url");
+
+const decodeRevocationCursor = (cursor) => {
+  const [changedAt, id] = Buffer.from(String(cursor), "base64url").toString().split("_");
+  const statusChangedAt = new Date(changedAt);
+  if (isNaN(statusChangedAt) || !mongoose.isValidObjectId(id)) return null;
+  return { statusChangedAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// @desc    Signed list of revoked and reinstated certificates, paged with the
+//          nextCursor of the previous page
+// @route   GET /api/certificates/revocations?since=&cursor=&limit=
+// @access  Public
+exports.getRevocationList = async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(req.query.limit * 1 || 100, 1), 1000);
+
+    // Every certificate whose status was ever changed after issuance; a
+    // reinstated entry tells syncing clients to drop an earlier revocation
+    const filter = { statusChangedAt: { $exists: true } };
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (isNaN(since)) {
+        return res.status(400).json({
+          status: "fail",
+          message: "since must be a valid date",
+        });
+      }
+      filter.statusChangedAt = { $gt: since };
+    }
+
+    // Keyset paging: a certificate whose status changes while a client pages
+    // moves past the cursor instead of shifting the pages before it
+    if (req.query.cursor) {
+      const after = decodeRevocationCursor(req.query.cursor);
+      if (!after) {
+        return res.status(400).json({
+          status: "fail",
+          message: "Invalid cursor",
+        });
+      }
+      filter.$or = [
+        { statusChangedAt: { $gt: after.statusChangedAt } },
+        { statusChangedAt: after.statusChangedAt, _id: { $gt: after._id } },
+      ];
+    }
+
+    const found = await Certificate.find(filter)
+      .sort({ statusChangedAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .select("certificateId status revocation statusChangedAt");
+    const certificates = found.slice(0, limit);
+    const hasMore = found.length > limit;
+
+    const list = {
+      type: "CertificateRevocationList",
+      issuer: getApiBaseUrl(req),
+      generatedAt: new Date().toISOString(),
+      since: req.query.since ? new Date(req.query.since).toISOString() : null,
+      limit,
+      nextCursor: hasMore ? encodeRevocationCursor(certificates[certificates.length - 1]) : null,
+      entries: certificates.map((certificate) => ({
+        certificateId: certificate.certificateId,
+        revoked: certificate.status === "revoked",
+        reasonCode: certificate.revocation?.reasonCode || null,
+        revokedAt: certificate.revocation?.revokedAt?.toISOString() || null,
+        changedAt: certificate.statusChangedAt.toISOString(),
+      })),
+    };
+
+    const { token, kid } = signJws(list, "revocation-list+jws");
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        ...list,
+        kid,
+        signature: token,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,309 @@
+const cloudinary = require("../config/cloudinary");
+const streamifier = require("streamifier");
+const Certificate = require("../models/certificate");
+const CertificateTemplate = require("../models/certificateTemplate");
+const Event = require("../models/event");
+const { renderCertificatePdf } = require("../utils/certificatePdf");
+
+const TEMPLATE_FIELDS = ["name", "pageWidth", "pageHeight", "placeholders"];
+
+// Keep only the template fields organizers may set
+const pickTemplateFields = (body) => {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const uploadBackground = (file, templateId) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder: "certificate-templates",
+        resource_type: "image",
+        public_id: `template_${templateId}_${Date.now()}`,
+      },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result);
+      }
+    );
+    streamifier.createReadStream(file.buffer).pipe(stream);
+  });
+
+const canManage = (template, student) =>
+  template.organizer.equals(student._id) || student.role === "admin";
+
+// @desc    Create a certificate template with a background image
+// @route   POST /api/certificates/templates
+// @access  Private (Organizer/Admin)
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const template = new CertificateTemplate({
+      ...pickTemplateFields(req.body),
+      organizer: req.student._id,
+    });
+
+    await template.validate();
+
+    if (req.file) {
+      const result = await uploadBackground(req.file, template._id);
+      template.background = {
+        url: result.secure_url,
+        publicId: result.public_id,
+        width: result.width,
+        height: result.height,
+        format: result.format,
+      };
+    }
+
+    await template.save();
+
+    res.status(201).json({
+      status: "success",
+      data: {
+        template,
+      },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        status: "fail",
+        message: "Validation error: " + err.message,
+      });
+    }
+    next(err);
+  }
+};
+
+// @desc    Get templates owned by the logged-in organizer
+// @route   GET /api/certificates/templates
+// @access  Private (Organizer/Admin)
+exports.getMyTemplates = async (req, res, next) => {
+  try {
+    const templates = await CertificateTemplate.find({
+      organizer: req.student._id,
+    }).sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      status: "success",
+      results: templates.length,
+      data: {
+        templates,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a certificate template
+// @route   GET /api/certificates/templates/:templateId
+// @access  Private (Organizer/Admin)
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const template = await CertificateTemplate.findById(req.params.templateId);
+
+    if (!template || !canManage(template, req.student)) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Template not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        template,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a certificate template (and optionally its background)
+// @route   PATCH /api/certificates/templates/:templateId
+// @access  Private (Organizer/Admin)
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const template = await CertificateTemplate.findById(req.params.templateId);
+
+    if (!template || !canManage(template, req.student)) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Template not found",
+      });
+    }
+
+    template.set(pickTemplateFields(req.body));
+    await template.validate();
+
+    if (req.file) {
+      const previous = template.background?.publicId;
+      const result = await uploadBackground(req.file, template._id);
+      template.background = {
+        url: result.secure_url,
+        publicId: result.public_id,
+        width: result.width,
+        height: result.height,
+        format: result.format,
+      };
+
+      if (previous) {
+        cloudinary.uploader.destroy(previous).catch((error) =>
+          console.error("Failed to delete old template background:", error)
+        );
+      }
+    }
+
+    await template.save();
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        template,
+      },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        status: "fail",
+        message: "Validation error: " + err.message,
+      });
+    }
+    next(err);
+  }
+};
+
+// @desc    Delete a certificate template
+// @route   DELETE /api/certificates/templates/:templateId
+// @access  Private (Organizer/Admin)
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await CertificateTemplate.findById(req.params.templateId);
+
+    if (!template || !canManage(template, req.student)) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Template not found",
+      });
+    }
+
+    await template.deleteOne();
+
+    // Events using it fall back to the default layout
+    await Event.updateMany(
+      { certificateTemplate: template._id },
+      { $unset: { certificateTemplate: 1 } }
+    );
+    await Certificate.updateMany(
+      { template: template._id },
+      { $unset: { template: 1 } }
+    );
+
+    if (template.background?.publicId) {
+      cloudinary.uploader.destroy(template.background.publicId).catch((error) =>
+        console.error("Failed to delete template background:", error)
+      );
+    }
+
+    res.status(204).json({
+      status: "success",
+      data: null,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Render a sample certificate with a template
+// @route   GET /api/certificates/templates/:templateId/preview
+// @access  Private (Organizer/Admin)
+exports.previewTemplate = async (req, res, next) => {
+  try {
+    const template = await CertificateTemplate.findById(req.params.templateId);
+
+    if (!template || !canManage(template, req.student)) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Template not found",
+      });
+    }
+
+    const sample = {
+      certificateId: "CERT-PREVIEW",
+      student: { name: req.student.name },
+      studentEmail: req.student.email,
+      eventName: "Sample Event",
+      type: "winner",
+      positionLabel: "1st",
+      issuedAt: new Date(),
+      verificationURL: `${process.env.BASE_URL}/verify/CERT-PREVIEW`,
+    };
+
+    const pdf = await renderCertificatePdf(sample, template);
+
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", 'inline; filename="template-preview.pdf"');
+    res.status(200).send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Choose the template used for an event's certificates
+// @route   PUT /api/certificates/event/:eventId/template
+// @access  Private (Organizer/Admin)
+exports.setEventTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.body;
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Event not found",
+      });
+    }
+
+    if (!event.organizer.equals(req.student._id) && req.student.role !== "admin") {
+      return res.status(403).json({
+        status: "fail",
+        message: "Not authorized to change certificates for this event",
+      });
+    }
+
+    if (templateId) {
+      const template = await CertificateTemplate.findById(templateId);
+      if (!template || !canManage(template, req.student)) {
+        return res.status(404).json({
+          status: "fail",
+          message: "Template not found",
+        });
+      }
+    }
+
+    const updated = await Event.findByIdAndUpdate(
+      event._id,
+      templateId
+        ? { $set: { certificateTemplate: templateId } }
+        : { $unset: { certificateTemplate: 1 } },
+      { new: true }
+    ).populate("certificateTemplate", "name");
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        event: {
+          id: updated._id,
+          title: updated.title,
+          certificateTemplate: updated.certificateTemplate || null,
+        },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -54,6 +54,7 @@ exports.chatWithAI = async (req, res, next) => {
     const [events, student, enrolledEvents] = await Promise.all([
       // Get recent and upcoming events for context
       Event.find({
+        approvalStatus: "published",
         $or: [
           { status: "upcoming" },
           { status: "ongoing" },
@@ -3,6 +3,50 @@ const streamifier = require("streamifier");
 const APIFeatures = require("../utils/apiFeatures"); // For filtering/sorting/pagination
 const Event = require("../models/event");
 const Student = require("../models/student");
+const EventSeries = require("../models/eventSeries");
+const withTransaction = require("../utils/transaction");
+const { generateOccurrences } = require("../utils/recurrence");
+const { getTicketCode, signTicket } = require("../utils/ticket");
+const enrollmentService = require("../services/enrollmentService");
+const waitlistService = require("../services/waitlistService");
+const certificateService = require("../services/certificateService");
+const eventReviewService = require("../services/eventReviewService");
+
+// Fields organizers may change with PATCH /api/events/:eventId. Everything
+// else has its own endpoint (participants, agenda, images, templates, review)
+// or is kept up to date by the server.
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "date",
+  "endDate",
+  "location",
+  "maxParticipants",
+  "category",
+  "eventURL",
+  "enableRegistration",
+  "digitalCertificates",
+  "certificateAudience",
+  "sendReminders",
+];
+
+// Edits to these send a published event back to review
+const CONTENT_FIELDS = ["title", "description", "location", "category", "eventURL"];
+
+// Content fields in `fields` that differ from the stored event
+const changedContentFields = (event, fields) =>
+  CONTENT_FIELDS.filter(
+    (field) => fields[field] !== undefined && String(fields[field]) !== String(event?.[field])
+  );
+
+// Keep only the event fields organizers may set
+const pickEventFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
 
 // @desc    Create new event with image upload (Organizer only)
 // @route   POST /api/events/create
@@ -13,29 +57,41 @@ exports.createEvent = async (req, res) => {
       title,
       description,
       date,
+      endDate,
       location,
       maxParticipants,
       category,
       eventURL,
       enableRegistration,
       digitalCertificates,
+      certificateAudience,
       sendReminders,
+      recurrence,
     } = req.body;
 
-    // Create the event first
-    const newEvent = await Event.create({
+    const eventData = {
       title,
       description,
       date,
+      endDate,
       location,
       maxParticipants,
       category,
       eventURL,
       enableRegistration,
       digitalCertificates,
+      certificateAudience,
       sendReminders,
       organizer: req.student._id,
-    });
+    };
+
+    // Recurring events are created as a series of linked occurrences
+    if (recurrence) {
+      return await createEventSeries(req, res, eventData, recurrence);
+    }
+
+    // Create the event first
+    const newEvent = await Event.create(eventData);
 
     let imageData = null;
 
@@ -108,19 +164,263 @@ exports.createEvent = async (req, res) => {
   }
 };
 
+// Upload an image buffer to the events folder on Cloudinary
+const uploadToCloudinary = (file, publicId) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder: "events",
+        resource_type: "image",
+        public_id: publicId,
+      },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result);
+      }
+    );
+    streamifier.createReadStream(file.buffer).pipe(stream);
+  });
+
+// Create an EventSeries and all of its occurrences in one transaction
+const createEventSeries = async (req, res, eventData, recurrence) => {
+  const start = new Date(eventData.date);
+  const end = eventData.endDate ? new Date(eventData.endDate) : null;
+
+  if (isNaN(start)) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation error: Event date is required",
+    });
+  }
+
+  if (end && !(end > start)) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation error: Event end date must be after the start date",
+    });
+  }
+
+  const series = new EventSeries({
+    title: eventData.title,
+    organizer: eventData.organizer,
+    recurrence: {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval,
+      count: recurrence.count,
+      until: recurrence.until,
+      excludedDates: recurrence.excludedDates,
+    },
+  });
+  await series.validate();
+
+  const occurrences = generateOccurrences(
+    start,
+    end ? end - start : null,
+    series.recurrence.toObject()
+  );
+
+  if (occurrences.length === 0) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Validation error: Recurrence rule produces no occurrences",
+    });
+  }
+
+  const events = await withTransaction(async (session) => {
+    await series.save({ session });
+    return Event.create(
+      occurrences.map((occurrence, index) => ({
+        ...eventData,
+        date: occurrence.date,
+        endDate: occurrence.endDate,
+        series: series._id,
+        occurrenceIndex: index,
+      })),
+      { session, ordered: true }
+    );
+  });
+
+  let imageData = null;
+
+  // One image is shared by every occurrence
+  if (req.file) {
+    try {
+      const result = await uploadToCloudinary(
+        req.file,
+        `series_${series._id}_${Date.now()}`
+      );
+
+      imageData = {
+        url: result.secure_url,
+        publicId: result.public_id,
+        width: result.width,
+        height: result.height,
+        format: result.format,
+        bytes: result.bytes,
+        isFeatured: true,
+      };
+
+      await Event.updateMany(
+        { series: series._id },
+        { images: [imageData], featuredImage: imageData }
+      );
+    } catch (uploadError) {
+      console.error("Image upload failed:", uploadError);
+      // Continue without image - occurrences are already created
+    }
+  }
+
+  res.status(201).json({
+    status: "success",
+    results: events.length,
+    data: {
+      series,
+      events: await Event.find({ series: series._id })
+        .sort({ date: 1 })
+        .populate("organizer", "name email"),
+      imageUploaded: !!imageData,
+    },
+  });
+};
+
+// Apply an update to an occurrence and every later upcoming occurrence of its
+// series. Date changes are applied as a shift, so each occurrence keeps its
+// own day.
+const updateFutureOccurrences = async (req, res, current, update) => {
+  const { date, endDate, ...fields } = update;
+
+  if (date !== undefined && !(new Date(date).getTime() > Date.now() - 60000)) {
+    return res.status(400).json({
+      status: "fail",
+      message: "Event date must be at least 1 minute in the future (UTC time)",
+    });
+  }
+
+  const filter = {
+    series: current.series,
+    organizer: req.student._id,
+    occurrenceIndex: { $gte: current.occurrenceIndex },
+    status: "upcoming",
+  };
+
+  const contentChanges = changedContentFields(current, fields);
+
+  await withTransaction(async (session) => {
+    if (Object.keys(fields).length > 0) {
+      await Event.updateMany(filter, fields, { runValidators: true, session });
+    }
+
+    if (date !== undefined || endDate !== undefined) {
+      const startShift =
+        date !== undefined ? new Date(date) - new Date(current.date) : 0;
+      const endShift =
+        endDate !== undefined
+          ? new Date(endDate) - current.getEndDate()
+          : startShift;
+
+      await Event.updateMany(
+        filter,
+        [
+          {
+            $set: {
+              date: { $add: ["$date", startShift] },
+              endDate: { $add: [Event.endDateExpression(), endShift] },
+            },
+          },
+        ],
+        { session }
+      );
+    }
+
+    if (fields.title) {
+      await EventSeries.updateOne(
+        { _id: current.series },
+        { title: fields.title },
+        { runValidators: true, session }
+      );
+    }
+  });
+
+  if (contentChanges.length > 0) {
+    await eventReviewService.reopenForReview(filter, req.student._id, contentChanges);
+  }
+
+  const events = await Event.find(filter)
+    .sort({ date: 1 })
+    .populate("organizer", "name email");
+
+  // Raising the capacity may free seats for waitlisted students
+  if (fields.maxParticipants !== undefined) {
+    for (const event of events) {
+      await waitlistService.promoteNext(event._id);
+    }
+  }
+
+  res.status(200).json({
+    status: "success",
+    results: events.length,
+    data: {
+      events,
+    },
+  });
+};
+
 // @desc    Update event details (Organizer only)
-// @route   PUT /api/events/update/:eventId
+// @route   PATCH /api/events/:eventId?scope=this|future
 // @access  Private/Organizer
 // Update the updateEvent function
-exports.updateEvent = async (req, res) => {
+exports.updateEvent = async (req, res, next) => {
   try {
     const eventId = req.params.eventId || req.params.id;
-    const event = await Event.findOneAndUpdate(
+    const scope = req.query.scope || "this"; // "this" or "future" occurrences
+    const fields = pickEventFields(req.body);
+
+    // The schema can't compare date and endDate inside an update query, so
+    // check the resulting pair against the stored event here
+    if (fields.date !== undefined || fields.endDate !== undefined) {
+      const current = req.event || (await Event.findById(eventId));
+
+      // Moving only the start keeps the event's duration
+      if (fields.endDate === undefined && current && fields.date) {
+        const duration = current.getEndDate() - new Date(current.date);
+        fields.endDate = new Date(new Date(fields.date).getTime() + duration);
+      }
+
+      const start = new Date(fields.date ?? current?.date);
+      const end = fields.endDate ?? current?.endDate;
+
+      if (end && !(new Date(end) > start)) {
+        return res.status(400).json({
+          status: "fail",
+          message: "Event end date must be after the start date",
+        });
+      }
+    }
+
+    if (scope === "future") {
+      const current = req.event || (await Event.findById(eventId));
+
+      if (!current || !current.series) {
+        return res.status(400).json({
+          status: "fail",
+          message: "Only events that belong to a series can be updated with scope=future",
+        });
+      }
+
+      return await updateFutureOccurrences(req, res, current, fields);
+    }
+
+    const contentChanges = changedContentFields(
+      req.event || (await Event.findById(eventId)),
+      fields
+    );
+
+    let event = await Event.findOneAndUpdate(
       {
         _id: eventId,
         organizer: req.student._id,
       },
-      req.body,
+      fields,
       {
         new: true,
         runValidators: true,
@@ -137,6 +437,24 @@ exports.updateEvent = async (req, res) => {
       });
     }
 
+    if (
+      contentChanges.length > 0 &&
+      (await eventReviewService.reopenForReview(
+        { _id: event._id },
+        req.student._id,
+        contentChanges
+      ))
+    ) {
+      event = await Event.findById(event._id)
+        .populate("organizer", "name email")
+        .populate("participants", "name email year branch");
+    }
+
+    // Raising the capacity may free seats for waitlisted students
+    if (fields.maxParticipants !== undefined && event.waitlist.length > 0) {
+      await waitlistService.promoteNext(event._id);
+    }
+
     // Return success response with updated event
     res.status(200).json({
       status: "success",
@@ -160,7 +478,10 @@ exports.getAllEvents = async (req, res) => {
       .limitFields()
       .paginate();
 
-    const events = await features.query.populate("organizer", "name email");
+    // Applied last so a query string can't widen it
+    const events = await features.query
+      .where({ approvalStatus: "published" })
+      .populate("organizer", "name email");
 
     res.status(200).json({
       status: "success",
@@ -354,15 +675,24 @@ exports.getEvent = async (req, res) => {
   try {
     const event = await Event.findById(req.params.eventId)
       .populate("organizer", "name email branch")
-      .populate("participants", "name email year branch");
+      .populate("participants", "name email year branch")
+      .populate("sessions.speakers.student", "name avatar branch year");
 
-    if (!event) {
+    // Unpublished events are only visible to their organizer and admins
+    const canSeeUnpublished =
+      req.student &&
+      (event?.organizer?._id.equals(req.student._id) || req.student.role === "admin");
+
+    if (!event || (event.approvalStatus !== "published" && !canSeeUnpublished)) {
       return res.status(404).json({
         status: "fail",
         message: "No event found with that ID",
       });
     }
 
+    // Return the agenda in running order
+    event.sessions.sort((a, b) => a.startTime - b.startTime);
+
     res.status(200).json({
       status: "success",
       data: {
@@ -377,6 +707,25 @@ exports.getEvent = async (req, res) => {
   }
 };
 
+// @desc    Submit an event (or its whole series) for admin review
+// @route   POST /api/events/:eventId/submit
+// @access  Private/Organizer
+exports.submitEventForReview = async (req, res, next) => {
+  try {
+    const event = await eventReviewService.submit(req.event, req.student._id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Event submitted for review",
+      data: {
+        event,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Get organizer's completed events
 // @route   GET /api/events/organizer/completed
 // @access  Private/Organizer
@@ -387,7 +736,7 @@ exports.getOrganizerCompletedEvents = async (req, res) => {
     const features = new APIFeatures(
       Event.find({
         organizer: req.student._id,
-        date: { $lt: currentDate }, // Events that have passed
+        $expr: { $lt: [Event.endDateExpression(), currentDate] }, // Events that have ended
         status: { $in: ["completed", "upcoming", "ongoing"] }, // Include various statuses
       }),
       req.query
@@ -401,11 +750,11 @@ exports.getOrganizerCompletedEvents = async (req, res) => {
       .populate("organizer", "name email")
       .populate("participants", "name email");
 
-    // Transform events to mark them as completed based on date
+    // Transform events to mark them as completed based on their end
     const completedEvents = events
       .map((event) => ({
         ...event.toObject(),
-        status: event.date < currentDate ? "completed" : event.status,
+        status: event.getEndDate() < currentDate ? "completed" : event.status,
       }))
       .filter((event) => event.status === "completed");
 
@@ -437,7 +786,7 @@ exports.getOrganizerEvents = async (req, res) => {
     // Add status filter if provided
     if (status && status !== "all") {
       if (status === "completed") {
-        filter.date = { $lt: new Date() };
+        filter.$expr = { $lt: [Event.endDateExpression(), new Date()] };
       } else if (status === "upcoming") {
         filter.date = { $gt: new Date() };
         filter.status = "upcoming";
@@ -505,6 +854,14 @@ exports.markEventAsCompleted = async (req, res) => {
       });
     }
 
+    if (event.digitalCertificates) {
+      certificateService
+        .issueParticipationCertificates(event._id)
+        .catch((error) =>
+          console.error("Failed to issue participation certificates:", error)
+        );
+    }
+
     res.status(200).json({
       status: "success",
       data: {
@@ -533,14 +890,6 @@ exports.enrollInEvent = async (req, res) => {
       });
     }
 
-    // Check if event is full
-    if (event.participants.length >= event.maxParticipants) {
-      return res.status(400).json({
-        status: "fail",
-        message: "Event has reached maximum capacity",
-      });
-    }
-
     // Check if already enrolled
     if (event.participants.includes(req.student._id)) {
       return res.status(400).json({
@@ -549,26 +898,26 @@ exports.enrollInEvent = async (req, res) => {
       });
     }
 
-    // Add to participants and save
-    event.participants.push(req.student._id);
-    await event.save();
-
-    // Add event to student's enrolledEvents
-    await Student.findByIdAndUpdate(
-      req.student._id,
-      { $addToSet: { enrolledEvents: event._id } },
-      { new: true }
+    // Capacity is re-checked atomically by the enrollment write itself; a
+    // waitlisted student holding an unexpired offer claims the held seat
+    const updatedEvent = await enrollmentService.enroll(
+      event._id,
+      req.student._id
     );
 
     res.status(200).json({
       status: "success",
       message: "Successfully enrolled in event",
       data: {
-        event,
+        event: updatedEvent,
+        ticket: {
+          token: signTicket(updatedEvent._id, req.student._id),
+          code: getTicketCode(updatedEvent._id, req.student._id),
+        },
       },
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       status: "fail",
       message: err.message,
     });
@@ -597,22 +946,122 @@ exports.unenrollFromEvent = async (req, res) => {
       });
     }
 
-    // Remove from participants
-    event.participants = event.participants.filter(
-      (participant) => !participant.equals(req.student._id)
-    );
-    await event.save();
+    await enrollmentService.unenroll(event._id, req.student._id);
+
+    // Offer the freed seat to the next person on the waitlist
+    await waitlistService.promoteNext(event._id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Successfully unenrolled from event",
+    });
+  } catch (err) {
+    res.status(err.statusCode || 400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Join event waitlist (only when the event is full)
+// @route   POST /api/events/waitlist/:eventId
+// @access  Private/Participant
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Event not found",
+      });
+    }
+
+    if (event.status !== "upcoming" || event.approvalStatus !== "published") {
+      return res.status(400).json({
+        status: "fail",
+        message: "You can only join the waitlist of upcoming events",
+      });
+    }
 
-    // Remove from student's enrolledEvents
-    await Student.findByIdAndUpdate(
-      req.student._id,
-      { $pull: { enrolledEvents: event._id } },
+    if (event.participants.includes(req.student._id)) {
+      return res.status(400).json({
+        status: "fail",
+        message: "You are already enrolled in this event",
+      });
+    }
+
+    if (event.getWaitlistEntry(req.student._id)) {
+      return res.status(400).json({
+        status: "fail",
+        message: "You are already on the waitlist for this event",
+      });
+    }
+
+    if (event.availableSeats() > 0) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Event still has open seats. Enroll instead.",
+      });
+    }
+
+    const updatedEvent = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        participants: { $ne: req.student._id },
+        "waitlist.student": { $ne: req.student._id },
+      },
+      { $push: { waitlist: { student: req.student._id } } },
       { new: true }
     );
 
+    if (!updatedEvent) {
+      return res.status(400).json({
+        status: "fail",
+        message: "You are already enrolled or on the waitlist for this event",
+      });
+    }
+
     res.status(200).json({
       status: "success",
-      message: "Successfully unenrolled from event",
+      message: "Successfully joined the waitlist",
+      data: {
+        position: updatedEvent.waitlist.length,
+      },
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Leave event waitlist (declines any pending seat offer)
+// @route   DELETE /api/events/waitlist/:eventId
+// @access  Private/Participant
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const event = await Event.findOneAndUpdate(
+      { _id: req.params.eventId, "waitlist.student": req.student._id },
+      { $pull: { waitlist: { student: req.student._id } } }
+    );
+
+    if (!event) {
+      return res.status(400).json({
+        status: "fail",
+        message: "You are not on the waitlist for this event",
+      });
+    }
+
+    // A declined offer passes to the next person in line
+    if (event.hasActiveOffer(event.getWaitlistEntry(req.student._id))) {
+      await waitlistService.promoteNext(event._id);
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Successfully left the waitlist",
     });
   } catch (err) {
     res.status(400).json({
@@ -627,10 +1076,11 @@ exports.unenrollFromEvent = async (req, res) => {
 // @access  Private/Organizer
 exports.deleteEvent = async (req, res) => {
   try {
-    const event = await Event.findOneAndDelete({
-      _id: req.params.eventId,
-      organizer: req.student._id, // Only organizer can delete
-    });
+    // Deletes the event and pulls it from every student's enrolledEvents together
+    const event = await enrollmentService.deleteEvent(
+      req.params.eventId,
+      req.student._id // Only organizer can delete
+    );
 
     if (!event) {
       return res.status(404).json({
@@ -639,12 +1089,6 @@ exports.deleteEvent = async (req, res) => {
       });
     }
 
-    // Remove event from all participants' enrolledEvents
-    await Student.updateMany(
-      { enrolledEvents: event._id },
-      { $pull: { enrolledEvents: event._id } }
-    );
-
     res.status(204).json({
       status: "success",
       data: null,
@@ -689,6 +1133,8 @@ exports.modifyParticipants = async (req, res) => {
       });
     }
 
+    let updatedEvent;
+
     if (action === "add") {
       // Check if already enrolled
       if (event.participants.includes(studentId)) {
@@ -698,18 +1144,9 @@ exports.modifyParticipants = async (req, res) => {
         });
       }
 
-      // Check capacity
-      if (event.participants.length >= event.maxParticipants) {
-        return res.status(400).json({
-          status: "fail",
-          message: "Event has reached maximum capacity",
-        });
-      }
-
-      event.participants.push(studentId);
-      await Student.findByIdAndUpdate(studentId, {
-        $addToSet: { enrolledEvents: event._id },
-      });
+      // Capacity is checked atomically; adding a waitlisted student takes
+      // them off the waitlist
+      updatedEvent = await enrollmentService.enroll(event._id, student._id);
     } else if (action === "remove") {
       if (!event.participants.includes(studentId)) {
         return res.status(400).json({
@@ -718,12 +1155,8 @@ exports.modifyParticipants = async (req, res) => {
         });
       }
 
-      event.participants = event.participants.filter(
-        (id) => !id.equals(studentId)
-      );
-      await Student.findByIdAndUpdate(studentId, {
-        $pull: { enrolledEvents: event._id },
-      });
+      updatedEvent = await enrollmentService.unenroll(event._id, student._id);
+      await waitlistService.promoteNext(event._id);
     } else {
       return res.status(400).json({
         status: "fail",
@@ -731,15 +1164,14 @@ exports.modifyParticipants = async (req, res) => {
       });
     }
 
-    await event.save();
     res.status(200).json({
       status: "success",
       data: {
-        event,
+        event: updatedEvent,
       },
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       status: "fail",
       message: err.message,
     });
@@ -827,7 +1259,7 @@ exports.uploadEventImage = async (req, res) => {
       update.featuredImage = imageData;
     }
 
-    const event = await Event.findByIdAndUpdate(req.params.eventId, update, {
+    let event = await Event.findByIdAndUpdate(req.params.eventId, update, {
       new: true,
     });
 
@@ -837,6 +1269,14 @@ exports.uploadEventImage = async (req, res) => {
         .json({ status: "fail", message: "Event not found" });
     }
 
+    if (
+      await eventReviewService.reopenForReview({ _id: event._id }, req.student._id, [
+        "images",
+      ])
+    ) {
+      event = await Event.findById(event._id);
+    }
+
     res.status(200).json({
       status: "success",
       data: {
@@ -2,21 +2,16 @@ const crypto = require("crypto");
 const Student = require("../models/student");
 const sendEmail = require("../utils/emailSender");
 const AppError = require("../utils/appError");
+const Throttle = require("../models/throttle");
+const sessionService = require("../services/sessionService");
 
-// Rate limiting storage (in production, use Redis)
-const resetAttempts = new Map();
-
-const canSendResetEmail = (email) => {
-  const attempt = resetAttempts.get(email);
-  if (!attempt) return true;
-
-  const timeDiff = Date.now() - attempt.lastAttempt;
-  return timeDiff > 1 * 60 * 1000; // 5 minutes cooldown
-};
-
-const recordResetAttempt = (email) => {
-  resetAttempts.set(email, { lastAttempt: Date.now() });
-};
+// One reset email per minute and at most 5 an hour for each address
+const canSendResetEmail = (email) =>
+  Throttle.attempt(`password-reset:${email.toLowerCase().trim()}`, {
+    cooldownMs: 60 * 1000,
+    limit: 5,
+    windowMs: 60 * 60 * 1000,
+  });
 
 // @desc    Forgot password - send reset link
 // @route   POST /api/password/forgot
@@ -36,7 +31,7 @@ exports.forgotPassword = async (req, res, next) => {
     }
 
     // Rate limiting check
-    if (!canSendResetEmail(email)) {
+    if (!(await canSendResetEmail(email))) {
       return next(
         new AppError("Please wait for 1min before requesting another reset link", 429)
       );
@@ -45,7 +40,6 @@ exports.forgotPassword = async (req, res, next) => {
     const user = await Student.findOne({ email, active: true });
     if (!user) {
       // Don't reveal if user exists or not
-      recordResetAttempt(email);
       return res.status(200).json({
         message: "If the email exists, a reset link has been sent",
         success: true,
@@ -243,8 +237,6 @@ This is an automated message. Please do not reply to this email.
       html: htmlMessage,
     });
 
-    recordResetAttempt(email);
-
     res.status(200).json({
       message: "If the email exists, a reset link has been sent",
       success: true,
@@ -303,9 +295,8 @@ exports.resetPassword = async (req, res, next) => {
 
     await user.save();
 
-    // Invalidate all existing tokens
-    user.tokens = [];
-    await user.save({ validateBeforeSave: false });
+    // Sign out every device
+    await sessionService.revokeAll(user._id, { reason: "password_changed" });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,168 @@
+const Event = require("../models/event");
+const EventSeries = require("../models/eventSeries");
+const enrollmentService = require("../services/enrollmentService");
+const waitlistService = require("../services/waitlistService");
+
+// @desc    Get an event series with its occurrences
+// @route   GET /api/events/series/:seriesId
+// @access  Public
+exports.getSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.seriesId).populate(
+      "organizer",
+      "name email"
+    );
+
+    if (!series) {
+      return res.status(404).json({
+        status: "fail",
+        message: "No series found with that ID",
+      });
+    }
+
+    const events = await Event.find({
+      series: series._id,
+      approvalStatus: "published",
+    }).sort({ date: 1 });
+
+    res.status(200).json({
+      status: "success",
+      results: events.length,
+      data: {
+        series,
+        events,
+      },
+    });
+  } catch (err) {
+    res.status(404).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Enroll in every upcoming occurrence of a series
+// @route   POST /api/events/series/:seriesId/enroll
+// @access  Private/Participant
+exports.enrollInSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({
+        status: "fail",
+        message: "No series found with that ID",
+      });
+    }
+
+    const occurrences = await Event.find({
+      series: series._id,
+      status: "upcoming",
+      approvalStatus: "published",
+    })
+      .select("date participants")
+      .sort({ date: 1 });
+
+    // Each occurrence has its own capacity, so enroll one at a time and
+    // report the outcome for each
+    const results = [];
+    for (const occurrence of occurrences) {
+      if (occurrence.participants.includes(req.student._id)) {
+        results.push({
+          event: occurrence._id,
+          date: occurrence.date,
+          enrolled: true,
+          message: "Already enrolled",
+        });
+        continue;
+      }
+
+      try {
+        await enrollmentService.enroll(occurrence._id, req.student._id);
+        results.push({
+          event: occurrence._id,
+          date: occurrence.date,
+          enrolled: true,
+        });
+      } catch (error) {
+        results.push({
+          event: occurrence._id,
+          date: occurrence.date,
+          enrolled: false,
+          message: error.message,
+        });
+      }
+    }
+
+    await EventSeries.updateOne(
+      { _id: series._id },
+      { $addToSet: { subscribers: req.student._id } }
+    );
+
+    const enrolledCount = results.filter((result) => result.enrolled).length;
+
+    res.status(200).json({
+      status: "success",
+      message: `Enrolled in ${enrolledCount} of ${results.length} upcoming occurrences`,
+      data: {
+        results,
+      },
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Unenroll from every upcoming occurrence of a series
+// @route   POST /api/events/series/:seriesId/unenroll
+// @access  Private/Participant
+exports.unenrollFromSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({
+        status: "fail",
+        message: "No series found with that ID",
+      });
+    }
+
+    const occurrences = await Event.find({
+      series: series._id,
+      status: "upcoming",
+      participants: req.student._id,
+    }).select("_id");
+
+    let unenrolledCount = 0;
+    for (const occurrence of occurrences) {
+      try {
+        await enrollmentService.unenroll(occurrence._id, req.student._id);
+        await waitlistService.promoteNext(occurrence._id);
+        unenrolledCount++;
+      } catch (error) {
+        console.error(
+          `Failed to unenroll from occurrence ${occurrence._id}:`,
+          error.message
+        );
+      }
+    }
+
+    await EventSeries.updateOne(
+      { _id: series._id },
+      { $pull: { subscribers: req.student._id } }
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: `Unenrolled from ${unenrolledCount} upcoming occurrences`,
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
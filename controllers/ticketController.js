@@ -0,0 +1,405 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const Event = require("../models/event");
+const attendanceSyncService = require("../services/attendanceSyncService");
+const certificateService = require("../services/certificateService");
+const {
+  getTicketCode,
+  signTicket,
+  verifyTicket,
+  signRoster,
+  verifyRoster,
+} = require("../utils/ticket");
+
+const ROSTER_VALIDITY_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_SYNC_RECORDS = 1000;
+
+// @desc    Get my ticket for an event
+// @route   GET /api/events/:eventId/ticket
+// @access  Private/Participant
+exports.getTicket = async (req, res) => {
+  try {
+    const event = req.event;
+
+    if (!event.participants.includes(req.student._id)) {
+      return res.status(403).json({
+        status: "fail",
+        message: "You are not enrolled in this event",
+      });
+    }
+
+    const attendance = event.getAttendanceRecord(req.student._id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        ticket: {
+          event: event._id,
+          token: signTicket(event._id, req.student._id),
+          code: getTicketCode(event._id, req.student._id),
+          checkedInAt: attendance?.checkedInAt || null,
+        },
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: "error",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Get my ticket as a QR code image
+// @route   GET /api/events/:eventId/ticket/qr?format=png|svg
+// @access  Private/Participant
+exports.getTicketQR = async (req, res) => {
+  try {
+    const event = req.event;
+
+    if (!event.participants.includes(req.student._id)) {
+      return res.status(403).json({
+        status: "fail",
+        message: "You are not enrolled in this event",
+      });
+    }
+
+    const token = signTicket(event._id, req.student._id);
+    const format = req.query.format === "svg" ? "svg" : "png";
+
+    if (format === "svg") {
+      const svg = await QRCode.toString(token, { type: "svg", margin: 2 });
+      res.set("Content-Type", "image/svg+xml");
+      return res.status(200).send(svg);
+    }
+
+    const png = await QRCode.toBuffer(token, { type: "png", margin: 2, width: 400 });
+    res.set("Content-Type", "image/png");
+    res.status(200).send(png);
+  } catch (err) {
+    res.status(500).json({
+      status: "error",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Check in a participant by scanned ticket token or typed code
+// @route   POST /api/events/:eventId/check-in
+// @access  Private/Organizer
+exports.checkIn = async (req, res) => {
+  try {
+    const event = req.event;
+    const { token, code } = req.body;
+
+    if (!token && !code) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Ticket token or code is required",
+      });
+    }
+
+    let studentId;
+    let method;
+
+    if (token) {
+      let ticket;
+      try {
+        ticket = verifyTicket(token);
+      } catch (error) {
+        return res.status(400).json({
+          status: "fail",
+          message: "Invalid ticket",
+        });
+      }
+
+      if (ticket.eventId !== event._id.toString()) {
+        return res.status(400).json({
+          status: "fail",
+          message: "This ticket is for a different event",
+        });
+      }
+
+      studentId = ticket.studentId;
+      method = "qr";
+    } else {
+      const normalized = code.toString().trim().toUpperCase();
+      const participant = event.participants.find(
+        (id) => getTicketCode(event._id, id) === normalized
+      );
+
+      if (!participant) {
+        return res.status(400).json({
+          status: "fail",
+          message: "Invalid ticket code",
+        });
+      }
+
+      studentId = participant.toString();
+      method = "code";
+    }
+
+    const previous = event.getAttendanceRecord(studentId);
+    if (previous) {
+      return res.status(409).json({
+        status: "fail",
+        message: "Ticket already checked in",
+        data: {
+          checkedInAt: previous.checkedInAt,
+        },
+      });
+    }
+
+    // Enrollment and duplicate checks are repeated by the write itself
+    const updatedEvent = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        participants: studentId,
+        "attendance.student": { $ne: studentId },
+      },
+      {
+        $push: {
+          attendance: {
+            student: studentId,
+            checkedInAt: new Date(),
+            checkedInBy: req.student._id,
+            method,
+          },
+        },
+        $set: { attendanceChangedAt: new Date() },
+      },
+      { new: true }
+    ).populate("attendance.student", "name email year branch");
+
+    if (!updatedEvent) {
+      const current = await Event.findById(event._id).select(
+        "participants attendance"
+      );
+      const duplicate = current?.getAttendanceRecord(studentId);
+
+      return res.status(duplicate ? 409 : 400).json({
+        status: "fail",
+        message: duplicate
+          ? "Ticket already checked in"
+          : "This ticket holder is not enrolled in the event",
+      });
+    }
+
+    const record = updatedEvent.getAttendanceRecord(studentId);
+
+    res.status(200).json({
+      status: "success",
+      message: "Checked in successfully",
+      data: {
+        attendance: record,
+      },
+    });
+  } catch (err) {
+    res.status(400).json({
+      status: "fail",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Attendance report: attended vs no-show
+// @route   GET /api/events/:eventId/attendance
+// @access  Private/Organizer
+exports.getAttendanceReport = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select("title date endDate participants attendance")
+      .populate("participants", "name email year branch")
+      .populate("attendance.checkedInBy", "name email");
+
+    const attended = [];
+    const noShows = [];
+
+    for (const participant of event.participants) {
+      const record = event.getAttendanceRecord(participant._id);
+      if (record) {
+        attended.push({
+          student: participant,
+          checkedInAt: record.checkedInAt,
+          checkedInBy: record.checkedInBy,
+          method: record.method,
+        });
+      } else {
+        noShows.push({ student: participant });
+      }
+    }
+
+    attended.sort((a, b) => a.checkedInAt - b.checkedInAt);
+
+    const enrolled = event.participants.length;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        event: {
+          id: event._id,
+          title: event.title,
+          date: event.date,
+          endDate: event.endDate,
+        },
+        summary: {
+          enrolled,
+          attended: attended.length,
+          noShows: noShows.length,
+          attendanceRate: enrolled
+            ? Math.round((attended.length / enrolled) * 10000) / 100
+            : 0,
+        },
+        attended,
+        noShows,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: "error",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Download a signed roster for offline check-in
+// @route   GET /api/events/:eventId/roster
+// @access  Private/Organizer
+exports.getRoster = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select("title date endDate participants")
+      .populate("participants", "name email");
+
+    const roster = {
+      rosterId: crypto.randomUUID(),
+      event: {
+        id: event._id,
+        title: event.title,
+        date: event.date,
+        endDate: event.getEndDate(),
+      },
+      generatedAt: new Date(),
+      participants: event.participants.map((participant) => ({
+        student: participant._id,
+        name: participant.name,
+        code: getTicketCode(event._id, participant._id),
+      })),
+    };
+
+    const expiresAt = new Date(event.getEndDate().getTime() + ROSTER_VALIDITY_MS);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        roster,
+        signature: signRoster(roster, expiresAt),
+        expiresAt,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: "error",
+      message: err.message,
+    });
+  }
+};
+
+// @desc    Upload attendance recorded offline on a venue device
+// @route   POST /api/events/:eventId/attendance/sync
+// @access  Private/Organizer
+exports.syncAttendance = async (req, res) => {
+  try {
+    const { deviceId, records, roster } = req.body;
+
+    // Devices sync with the signature of the roster they downloaded, which
+    // proves an organizer of this event set them up
+    if (!roster || typeof roster !== "string") {
+      return res.status(400).json({
+        status: "fail",
+        message: "roster (the signature from GET /roster) is required",
+      });
+    }
+
+    let rosterClaims;
+    try {
+      rosterClaims = verifyRoster(roster);
+    } catch (error) {
+      return res.status(400).json({
+        status: "fail",
+        message: `Invalid roster: ${error.message}`,
+      });
+    }
+
+    if (rosterClaims.eventId !== req.params.eventId) {
+      return res.status(400).json({
+        status: "fail",
+        message: "This roster is for a different event",
+      });
+    }
+
+    if (!deviceId || typeof deviceId !== "string") {
+      return res.status(400).json({
+        status: "fail",
+        message: "deviceId is required",
+      });
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({
+        status: "fail",
+        message: "records must be a non-empty array",
+      });
+    }
+
+    if (records.length > MAX_SYNC_RECORDS) {
+      return res.status(400).json({
+        status: "fail",
+        message: `A batch can contain at most ${MAX_SYNC_RECORDS} records`,
+      });
+    }
+
+    const results = await attendanceSyncService.syncBatch(req.params.eventId, {
+      deviceId,
+      rosterId: rosterClaims.rosterId,
+      records,
+      organizerId: req.student._id,
+    });
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+
+    // Attendance synced after the event ended may make more students eligible
+    // for a participation certificate
+    const event = req.event;
+    if (
+      count("checked-in") > 0 &&
+      event.status === "completed" &&
+      event.digitalCertificates &&
+      event.certificateAudience === "attendees"
+    ) {
+      certificateService
+        .issueParticipationCertificates(event._id)
+        .catch((error) =>
+          console.error("Failed to issue participation certificates:", error)
+        );
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        summary: {
+          received: results.length,
+          checkedIn: count("checked-in"),
+          duplicates: count("duplicate"),
+          rejected: count("rejected"),
+          errors: count("error"),
+        },
+        results,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: "error",
+      message: err.message,
+    });
+  }
+};
@@ -1,56 +1,376 @@
+const crypto = require("crypto");
 const Student = require("../models/student");
+const Certificate = require("../models/certificate");
+const { buildSiweMessage, recoverPersonalSignAddress } = require("../utils/siwe");
 
-// @desc Update Metamask address
-// @route PATCH /api/wallet
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const ethAddressRegex = /^0x[a-fA-F0-9]{40}$/;
+
+// @desc Get an EIP-4361 message to sign with the wallet being linked
+// @route POST /api/wallet/challenge
 // @access Private
-exports.updateWallet = async (req, res, next) => {
+exports.requestChallenge = async (req, res, next) => {
   try {
-    const { metaMaskAddress } = req.body;
+    const { address } = req.body;
+    const chainId = parseInt(req.body.chainId) || 1;
 
-    if (!metaMaskAddress) {
+    if (!address || !ethAddressRegex.test(address)) {
       return res.status(400).json({
         status: "fail",
-        message: "MetaMask address is required",
+        message: "A valid wallet address is required",
       });
     }
 
-    const ethAddressRegex = /^0x[a-fA-F0-9]{40}$/;
-    if (!ethAddressRegex.test(metaMaskAddress)) {
+    const host = req.get("host");
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+    const nonce = crypto.randomBytes(16).toString("hex");
+
+    const message = buildSiweMessage({
+      domain: process.env.SIWE_DOMAIN || host,
+      address,
+      statement: "Link this wallet to your Uni Event Hub account to receive certificates.",
+      uri: process.env.SIWE_URI || `${req.protocol}://${host}`,
+      chainId,
+      nonce,
+      issuedAt,
+      expirationTime: expiresAt,
+    });
+
+    await Student.updateOne(
+      { _id: req.student._id },
+      {
+        $set: {
+          walletChallenge: {
+            address: address.toLowerCase(),
+            nonce,
+            message,
+            expiresAt,
+          },
+        },
+      }
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        message,
+        nonce,
+        expiresAt,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Other accounts holding `address` as a linked wallet
+const countOtherOwners = (studentId, address) =>
+  Student.countDocuments({
+    _id: { $ne: studentId },
+    $or: [
+      { wallets: { $elemMatch: { address, unlinkedAt: null } } },
+      { "wallets.0": { $exists: false }, metaMaskAddress: address },
+    ],
+  });
+
+const findActiveWallet = (student, address) =>
+  student.getActiveWallets().find((wallet) => wallet.address === address);
+
+// @desc Get the student's wallets, including unlinked ones
+// @route GET /api/wallet
+// @access Private
+exports.getWallets = async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.student._id).select(
+      "wallets metaMaskAddress walletVerified walletVerifiedAt updatedAt"
+    );
+
+    student.migrateLegacyWallet();
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        primary: student.metaMaskAddress || null,
+        wallets: student.wallets,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc Link a wallet by proving ownership with a signed challenge
+// @route POST /api/wallet/verify (also PATCH /api/wallet)
+// @access Private
+exports.verifyWallet = async (req, res, next) => {
+  try {
+    const { message, signature, label } = req.body;
+
+    if (!message || !signature) {
       return res.status(400).json({
         status: "fail",
-        message: "Invalid MetaMask address format",
+        message:
+          "Signed challenge is required - request one from POST /api/wallet/challenge and sign it with your wallet",
       });
     }
 
-    const student = await Student.findByIdAndUpdate(
-      req.student._id,
-      { metaMaskAddress },
-      {
-        new: true,
-        runValidators: true,
-        select: "-password -tokens -__v",
-      }
+    const current = await Student.findById(req.student._id).select("+walletChallenge");
+    const challenge = current?.walletChallenge;
+
+    if (!challenge?.nonce || challenge.message !== message) {
+      return res.status(400).json({
+        status: "fail",
+        message: "No matching wallet challenge - request a new one",
+      });
+    }
+
+    if (challenge.expiresAt < new Date()) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Wallet challenge has expired - request a new one",
+      });
+    }
+
+    let signer;
+    try {
+      signer = recoverPersonalSignAddress(message, signature);
+    } catch (error) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Invalid signature",
+      });
+    }
+
+    if (signer !== challenge.address) {
+      return res.status(401).json({
+        status: "fail",
+        message: "Signature was not made by this wallet",
+      });
+    }
+
+    if (await countOtherOwners(current._id, signer)) {
+      return res.status(409).json({
+        status: "fail",
+        message: "This MetaMask address is already linked to another account",
+      });
+    }
+
+    // Matching on the nonce consumes it, so a signature can't be replayed
+    const consumed = await Student.updateOne(
+      { _id: current._id, "walletChallenge.nonce": challenge.nonce },
+      { $unset: { walletChallenge: 1 } }
     );
 
-    if (!student) {
-      return res.status(404).json({
+    if (consumed.modifiedCount === 0) {
+      return res.status(400).json({
         status: "fail",
-        message: "Student not found",
+        message: "Wallet challenge was already used - request a new one",
       });
     }
 
+    const student = await Student.findById(current._id);
+    student.migrateLegacyWallet();
+
+    const now = new Date();
+    let wallet = findActiveWallet(student, signer);
+    if (!wallet) {
+      student.wallets.push({ address: signer, linkedAt: now });
+      wallet = student.wallets[student.wallets.length - 1];
+    }
+    wallet.verified = true;
+    wallet.verifiedAt = now;
+    if (label !== undefined) wallet.label = label;
+
+    // The first wallet becomes primary; later ones only when asked
+    const primary = student.getActiveWallets().find((w) => w.primary);
+    if (!primary || primary.address === signer || req.body.primary === true) {
+      student.setPrimaryWallet(signer);
+    }
+
+    await student.save({ validateModifiedOnly: true });
+
     res.status(200).json({
       status: "success",
       student,
     });
   } catch (err) {
-    if (err.code === 11000) {
-      return res.status(409).json({
+    next(err);
+  }
+};
+
+// @desc Rename a wallet or make it the primary wallet
+// @route PATCH /api/wallet/:address
+// @access Private
+exports.updateWallet = async (req, res, next) => {
+  try {
+    const address = req.params.address.toLowerCase();
+    const { label, primary } = req.body;
+
+    const student = await Student.findById(req.student._id);
+    student.migrateLegacyWallet();
+
+    const wallet = findActiveWallet(student, address);
+    if (!wallet) {
+      return res.status(404).json({
         status: "fail",
-        message: "This MetaMask address is already linked to another account",
+        message: "Wallet is not linked to your account",
+      });
+    }
+
+    if (primary === true) {
+      if (!wallet.verified) {
+        return res.status(400).json({
+          status: "fail",
+          message: "Only a verified wallet can be made primary - verify it first",
+        });
+      }
+      student.setPrimaryWallet(address);
+    }
+
+    if (label !== undefined) wallet.label = label;
+
+    await student.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        primary: student.metaMaskAddress || null,
+        wallets: student.wallets,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc Unlink a wallet. If it was primary, the most recently verified
+// remaining wallet takes over.
+// @route DELETE /api/wallet/:address
+// @access Private
+exports.unlinkWallet = async (req, res, next) => {
+  try {
+    const address = req.params.address.toLowerCase();
+
+    const student = await Student.findById(req.student._id);
+    student.migrateLegacyWallet();
+
+    const wallet = findActiveWallet(student, address);
+    if (!wallet) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Wallet is not linked to your account",
+      });
+    }
+
+    wallet.unlinkedAt = new Date();
+
+    if (wallet.primary) {
+      const [successor] = student
+        .getActiveWallets()
+        .filter((w) => w.verified)
+        .sort((a, b) => b.verifiedAt - a.verifiedAt);
+      student.setPrimaryWallet(successor ? successor.address : null);
+    }
+
+    await student.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        primary: student.metaMaskAddress || null,
+        wallets: student.wallets,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc Re-point the student's certificates to their primary wallet
+// @route POST /api/wallet/certificates/repoint
+// @access Private
+exports.repointCertificates = async (req, res, next) => {
+  try {
+    const { certificateIds } = req.body;
+
+    if (certificateIds !== undefined && !Array.isArray(certificateIds)) {
+      return res.status(400).json({
+        status: "fail",
+        message: "certificateIds must be an array",
+      });
+    }
+
+    const student = await Student.findById(req.student._id).select(
+      "metaMaskAddress walletVerified"
+    );
+
+    if (!student.metaMaskAddress || !student.walletVerified) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Link and verify a primary wallet first",
+      });
+    }
+
+    const to = student.metaMaskAddress;
+    const filter = {
+      student: student._id,
+      status: { $ne: "revoked" },
+      metaMaskAddress: { $ne: to },
+    };
+    if (certificateIds) filter.certificateId = { $in: certificateIds };
+
+    const certificates = await Certificate.find(filter).select(
+      "certificateId metaMaskAddress"
+    );
+
+    if (certificates.length === 0) {
+      return res.status(200).json({
+        status: "success",
+        data: {
+          repointed: 0,
+          certificates: [],
+        },
       });
     }
 
+    const changedAt = new Date();
+    // Each update only applies if the certificate still points where we
+    // read it, so the recorded "from" is always accurate
+    const result = await Certificate.bulkWrite(
+      certificates.map((certificate) => ({
+        updateOne: {
+          filter: {
+            _id: certificate._id,
+            metaMaskAddress: certificate.metaMaskAddress || null,
+          },
+          update: {
+            $set: { metaMaskAddress: to },
+            $push: {
+              walletHistory: {
+                from: certificate.metaMaskAddress,
+                to,
+                changedBy: student._id,
+                changedAt,
+              },
+            },
+          },
+        },
+      }))
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        repointed: result.modifiedCount,
+        wallet: to,
+        certificates: certificates.map((certificate) => ({
+          certificateId: certificate.certificateId,
+          from: certificate.metaMaskAddress || null,
+        })),
+      },
+    });
+  } catch (err) {
     next(err);
   }
 };
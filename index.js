@@ -29,6 +29,7 @@ const globalErrorHandler = require("./middleware/errorMiddleware");
 const { apiLogger } = require("./middleware/logger");
 const errorLogger = require("./middleware/errorLogger");
 const eventStatusService = require("./services/eventStatusService");
+const eventReviewService = require("./services/eventReviewService");
 
 // Initialize Express app
 const app = express();
@@ -69,6 +70,8 @@ const authLimiter = rateLimit({
 app.use("/api", apiLimiter);
 app.use("/api/auth/login", authLimiter);
 app.use("/api/auth/signup", authLimiter);
+app.use("/api/auth/magic-link", authLimiter);
+app.use("/api/auth/restore", authLimiter);
 
 // Body parser, reading data from body into req.body
 app.use(express.json({ limit: "10mb" }));
@@ -144,6 +147,10 @@ connectDB();
 
 mongoose.connection.on("connected", () => {
   console.log("Mongoose connected to DB");
+
+  eventReviewService.publishLegacyEvents().catch((error) => {
+    console.error("Publishing events created before review failed:", error);
+  });
 });
 
 mongoose.connection.on("error", (err) => {
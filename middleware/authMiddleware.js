@@ -1,6 +1,8 @@
 const jwt = require("jsonwebtoken");
 const Student = require("../models/student");
 const Event = require("../models/event");
+const sessionService = require("../services/sessionService");
+const twoFactorService = require("../services/twoFactorService");
 const AppError = require("../utils/appError");
 
 class AuthError extends Error {
@@ -13,6 +15,17 @@ class AuthError extends Error {
   }
 }
 
+// Roles listed in TWO_FACTOR_REQUIRED_ROLES must turn on 2FA before using
+// the routes reserved for them
+const checkTwoFactorEnrollment = (student) => {
+  if (twoFactorService.isRequiredFor(student.role) && !student.twoFactor?.enabled) {
+    throw new AuthError(
+      `Two-factor authentication is required for ${student.role} accounts. Set it up at /api/auth/2fa/setup.`,
+      403
+    );
+  }
+};
+
 module.exports = {
   // Protect routes
   protect: async (req, res, next) => {
@@ -50,17 +63,15 @@ module.exports = {
           );
         }
 
-        // 5) Check if token exists in student's tokens array
-        const tokenExists = student.tokens.some(
-          (tokenObj) => tokenObj.token === token
-        );
-        if (!tokenExists) {
+        // Check the token's session hasn't been revoked or expired
+        if (!decoded.sid || !(await sessionService.isActive(decoded.sid, student._id))) {
           throw new AuthError("Invalid token. Please log in again.", 401);
         }
 
         // Add student to request object
         req.student = student;
         req.token = token;
+        req.sessionId = decoded.sid;
         next();
       } catch (error) {
         return next(new AppError("Not authorized to access this route", 401));
@@ -70,6 +81,15 @@ module.exports = {
     }
   },
 
+  // Identify the student when a valid token is sent, but let anonymous
+  // requests through (for public routes that show more to some users)
+  identify: (req, res, next) => {
+    if (!req.headers.authorization?.startsWith("Bearer")) {
+      return next();
+    }
+    module.exports.protect(req, res, () => next());
+  },
+
   // Restrict to specific roles
   restrictTo: (...roles) => {
     return (req, res, next) => {
@@ -80,6 +100,7 @@ module.exports = {
             403
           );
         }
+        checkTwoFactorEnrollment(req.student);
         next();
       } catch (err) {
         next(err);
@@ -87,12 +108,26 @@ module.exports = {
     };
   },
 
+  // Require a verified email (for actions that publish or issue things)
+  requireVerifiedEmail: (req, res, next) => {
+    if (!req.student.isVerified) {
+      return next(
+        new AppError(
+          "Please verify your email address first. You can request a new link from /api/auth/verify-email/resend.",
+          403
+        )
+      );
+    }
+    next();
+  },
+
   // Admin-only access
   restrictToAdmin: (req, res, next) => {
     try {
       if (req.student.role !== "admin") {
         throw new AuthError("Admin access required for this action", 403);
       }
+      checkTwoFactorEnrollment(req.student);
       next();
     } catch (err) {
       next(err);
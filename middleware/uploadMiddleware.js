@@ -22,4 +22,23 @@ const upload = multer({
 });
 
 // Middleware to handle single avatar upload
-exports.uploadImage = upload;
\ No newline at end of file
+exports.uploadImage = upload;
+
+// CSV uploads (bulk certificate issuance). Spreadsheet apps on Windows send
+// CSV as application/vnd.ms-excel, so the extension is checked too.
+exports.uploadCsv = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (
+      ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype) ||
+      /\.csv$/i.test(file.originalname)
+    ) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Please upload a CSV file.', 400), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+});
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// A group of certificates whose Merkle root was (or is being) anchored on chain
+const AnchorBatchSchema = new mongoose.Schema(
+  {
+    merkleRoot: {
+      type: String,
+    },
+    leafCount: {
+      type: Number,
+      default: 0,
+    },
+    adapter: {
+      type: String,
+      required: true,
+    },
+    chainId: Number,
+    txHash: String,
+    blockNumber: Number,
+    status: {
+      type: String,
+      // abandoned: its certificates were released to be anchored again
+      enum: ["pending", "submitted", "confirmed", "failed", "abandoned"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    submittedAt: Date,
+    confirmedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AnchorBatchSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("AnchorBatch", AnchorBatchSchema);
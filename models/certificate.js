@@ -1,4 +1,66 @@
 const mongoose = require("mongoose");
+const {
+  signCertificateClaims,
+  verifySignedCertificate,
+} = require("../utils/certificateSigning");
+const { hashLeaf } = require("../utils/merkle");
+
+const REVOCATION_REASONS = [
+  "issued_in_error",
+  "misconduct",
+  "duplicate",
+  "superseded",
+  "data_correction",
+  "other",
+];
+
+// One entry per status change; entries are only ever appended
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["issued", "verified", "revoked"],
+      required: true,
+    },
+    reasonCode: {
+      type: String,
+      enum: REVOCATION_REASONS,
+    },
+    note: {
+      type: String,
+      maxlength: [1000, "Note cannot exceed 1000 characters"],
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One entry per change of the wallet a certificate is bound to
+const WalletChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const CertificateSchema = new mongoose.Schema(
   {
@@ -23,6 +85,14 @@ const CertificateSchema = new mongoose.Schema(
       ref: "Student",
       required: true,
     },
+    // Winner certificates are issued by organizers for a placing; participation
+    // certificates are issued automatically when an event completes
+    type: {
+      type: String,
+      enum: ["winner", "participation"],
+      default: "winner",
+      index: true,
+    },
     studentEmail: {
       type: String,
       required: true,
@@ -30,7 +100,9 @@ const CertificateSchema = new mongoose.Schema(
     },
     metaMaskAddress: {
       type: String,
-      required: true,
+      required: function () {
+        return this.type === "winner";
+      },
       validate: {
         validator: function (v) {
           return /^0x[a-fA-F0-9]{40}$/.test(v);
@@ -46,22 +118,71 @@ const CertificateSchema = new mongoose.Schema(
     },
     winnerPosition: {
       type: Number,
-      required: true,
+      required: function () {
+        return this.type === "winner";
+      },
       min: 1,
     },
+    // Overrides the event's template for this certificate
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CertificateTemplate",
+    },
+    // Externally hosted certificate; when missing, the PDF is rendered from
+    // the event's template (see pdfPath)
     certificateURL: {
       type: String,
-      required: true,
     },
+    // CID of the certificate file (see utils/cid). Not unique: certificates
+    // pointing at the same external file share it.
     ipfsHash: {
       type: String,
-      unique: true,
-      sparse: true,
+      index: true,
+    },
+    file: {
+      source: {
+        type: String,
+        enum: ["url", "rendered"],
+      },
+      backend: String,
+      contentType: String,
+      size: Number,
+      storedAt: Date,
+      // Last comparison of the external URL with the stored CID, refreshed
+      // in the background (see certificateStorageService.checkSources)
+      sourceCheck: {
+        checkedAt: Date,
+        matches: Boolean,
+        reason: String,
+      },
     },
+    // Shared by every certificate in the same anchor batch
     blockchainTxHash: {
       type: String,
-      unique: true,
-      sparse: true,
+      index: true,
+    },
+    // Where this certificate sits in its anchor batch's Merkle tree
+    anchor: {
+      batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AnchorBatch",
+      },
+      leafHash: String,
+      merkleRoot: String,
+      proof: [
+        {
+          _id: false,
+          position: {
+            type: String,
+            enum: ["left", "right"],
+          },
+          hash: String,
+        },
+      ],
+      chain: String,
+      chainId: Number,
+      blockNumber: Number,
+      anchoredAt: Date,
     },
     verificationURL: {
       type: String,
@@ -76,6 +197,12 @@ const CertificateSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Compact JWS over getSignedClaims(), verifiable with our public keys
+    signature: {
+      token: String,
+      kid: String,
+      signedAt: Date,
+    },
     issuer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Student",
@@ -86,6 +213,27 @@ const CertificateSchema = new mongoose.Schema(
       enum: ["issued", "verified", "revoked"],
       default: "issued",
     },
+    // Current revocation, cleared on reinstatement (the history keeps it)
+    revocation: {
+      reasonCode: {
+        type: String,
+        enum: REVOCATION_REASONS,
+      },
+      note: String,
+      revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Student",
+      },
+      revokedAt: Date,
+    },
+    statusHistory: [StatusChangeSchema],
+    // Wallet re-pointing. The wallet isn't part of the signed claims or the
+    // anchored leaf, so re-pointing leaves both valid.
+    walletHistory: [WalletChangeSchema],
+    // Last revocation or reinstatement, for incremental revocation list sync
+    statusChangedAt: {
+      type: Date,
+    },
     metadata: {
       issueDate: {
         type: Date,
@@ -129,18 +277,51 @@ CertificateSchema.pre("save", function (next) {
       this.metadata = this.metadata || {};
       this.metadata.issueDate = new Date();
     }
+
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        status: this.status,
+        changedBy: this.issuer,
+        changedAt: this.issuedAt,
+      });
+    }
+  } else if (this.isModified("status") || this.isModified("statusHistory")) {
+    // Status changes go through Certificate.changeStatus so the history
+    // stays append-only
+    return next(new Error("Use Certificate.changeStatus to change a certificate's status"));
   }
   next();
 });
 
+// Sign new certificates. Runs after the hook above so the certificateId and
+// verification URL are final.
+CertificateSchema.pre("save", async function () {
+  if (!this.isNew || this.signature?.token) return;
+
+  const student = await mongoose
+    .model("Student")
+    .findById(this.student)
+    .select("name");
+
+  this.signature = {
+    ...signCertificateClaims(this.getSignedClaims(student?.name)),
+    signedAt: new Date(),
+  };
+});
+
 // Indexes for better query performance
 CertificateSchema.index({ student: 1, event: 1 });
 CertificateSchema.index({ metaMaskAddress: 1 });
 CertificateSchema.index({ certificateId: 1 });
 CertificateSchema.index({ issuedAt: -1 });
+CertificateSchema.index({ "anchor.batch": 1 });
+CertificateSchema.index({ statusChangedAt: 1, _id: 1 });
+// One certificate of each type per student per event
+CertificateSchema.index({ event: 1, student: 1, type: 1 }, { unique: true });
 
 // Virtual for formatted position
 CertificateSchema.virtual("positionLabel").get(function () {
+  if (this.type === "participation") return null;
   const positions = [
     "1st",
     "2nd",
@@ -156,9 +337,102 @@ CertificateSchema.virtual("positionLabel").get(function () {
   return positions[this.winnerPosition - 1] || `${this.winnerPosition}th`;
 });
 
+// What the certificate was awarded for
+CertificateSchema.virtual("achievement").get(function () {
+  return this.type === "participation"
+    ? "Participation"
+    : `${this.positionLabel} place`;
+});
+
+// Download route for the rendered PDF
+CertificateSchema.virtual("pdfPath").get(function () {
+  return `/api/certificates/${this.certificateId}/pdf`;
+});
+
+// Id of a reference whether or not it has been populated
+const refId = (value) => (value?._id || value)?.toString() || null;
+
+// Claims covered by the signature. Anything a verifier needs to trust
+// without our database goes here.
+CertificateSchema.methods.getSignedClaims = function (recipientName) {
+  return {
+    v: 1,
+    cid: this.certificateId,
+    type: this.type,
+    sub: refId(this.student),
+    name: recipientName || this.studentEmail,
+    evt: refId(this.event),
+    event: this.eventName,
+    pos: this.type === "winner" ? this.winnerPosition : null,
+    iss: refId(this.issuer),
+    iat: Math.floor(new Date(this.issuedAt).getTime() / 1000),
+    url: this.verificationURL,
+  };
+};
+
+// Whether the stored signature is valid and still matches this record, i.e.
+// the record hasn't been edited since it was signed
+CertificateSchema.methods.checkSignature = function () {
+  if (!this.signature?.token) {
+    return { signed: false, valid: false };
+  }
+
+  try {
+    const { claims } = verifySignedCertificate(this.signature.token);
+    const expected = this.getSignedClaims(claims.name);
+    const matches = Object.keys(expected).every(
+      (key) => JSON.stringify(expected[key]) === JSON.stringify(claims[key])
+    );
+
+    return {
+      signed: true,
+      valid: matches,
+      kid: this.signature.kid,
+      error: matches ? undefined : "Certificate record does not match its signature",
+    };
+  } catch (error) {
+    return { signed: true, valid: false, kid: this.signature.kid, error: error.message };
+  }
+};
+
+// Merkle leaf for anchoring. The signature already covers every claim, so
+// hashing it commits to the whole certificate.
+CertificateSchema.methods.getAnchorLeafHash = function () {
+  return this.signature?.token ? hashLeaf(this.signature.token) : null;
+};
+
 // Method to check if certificate is verified on blockchain
 CertificateSchema.methods.isBlockchainVerified = function () {
   return !!this.blockchainTxHash;
 };
 
+// Move a certificate from one of `from` to `to`, appending to its history.
+// Returns null if the certificate doesn't exist or isn't in a `from` status.
+CertificateSchema.statics.changeStatus = function (
+  certificateId,
+  { from, to, reasonCode, note, changedBy }
+) {
+  const now = new Date();
+  const update = {
+    $set: { status: to, statusChangedAt: now },
+    $push: {
+      statusHistory: { status: to, reasonCode, note, changedBy, changedAt: now },
+    },
+  };
+
+  if (to === "revoked") {
+    update.$set.revocation = { reasonCode, note, revokedBy: changedBy, revokedAt: now };
+  } else {
+    update.$unset = { revocation: 1 };
+  }
+
+  return this.findOneAndUpdate(
+    { certificateId, status: { $in: from } },
+    update,
+    { new: true, runValidators: true }
+  );
+};
+
+CertificateSchema.statics.REVOCATION_REASONS = REVOCATION_REASONS;
+
 module.exports = mongoose.model("Certificate", CertificateSchema);
@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+
+// A4 landscape, in PDF points
+const DEFAULT_PAGE_WIDTH = 842;
+const DEFAULT_PAGE_HEIGHT = 595;
+
+const PLACEHOLDER_FIELDS = [
+  "studentName",
+  "eventTitle",
+  "positionLabel",
+  "date",
+  "certificateId",
+  "verificationURL",
+  "qrCode",
+  "text",
+];
+
+const FONTS = [
+  "Helvetica",
+  "Helvetica-Bold",
+  "Helvetica-Oblique",
+  "Times-Roman",
+  "Times-Bold",
+  "Times-Italic",
+  "Courier",
+  "Courier-Bold",
+];
+
+// A value drawn onto the background. Coordinates are PDF points from the top
+// left corner; `width` is the text box width (or the QR code size).
+const PlaceholderSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: {
+      values: PLACEHOLDER_FIELDS,
+      message: `Placeholder field must be one of: ${PLACEHOLDER_FIELDS.join(", ")}`,
+    },
+    required: [true, "Placeholder field is required"],
+  },
+  // Static text for "text" placeholders
+  text: {
+    type: String,
+    maxlength: [500, "Placeholder text cannot exceed 500 characters"],
+    required: function () {
+      return this.field === "text";
+    },
+  },
+  x: {
+    type: Number,
+    required: [true, "Placeholder x position is required"],
+    min: 0,
+  },
+  y: {
+    type: Number,
+    required: [true, "Placeholder y position is required"],
+    min: 0,
+  },
+  width: {
+    type: Number,
+    min: 1,
+  },
+  fontSize: {
+    type: Number,
+    min: 4,
+    max: 144,
+    default: 16,
+  },
+  font: {
+    type: String,
+    enum: FONTS,
+    default: "Helvetica",
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, "Color must be a hex value like #1a2b3c"],
+    default: "#000000",
+  },
+  align: {
+    type: String,
+    enum: ["left", "center", "right"],
+    default: "left",
+  },
+});
+
+const CertificateTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    background: {
+      url: String,
+      publicId: String,
+      width: Number,
+      height: Number,
+      format: String,
+    },
+    pageWidth: {
+      type: Number,
+      min: 100,
+      max: 2000,
+      default: DEFAULT_PAGE_WIDTH,
+    },
+    pageHeight: {
+      type: Number,
+      min: 100,
+      max: 2000,
+      default: DEFAULT_PAGE_HEIGHT,
+    },
+    placeholders: [PlaceholderSchema],
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+CertificateTemplateSchema.index({ organizer: 1 });
+
+// Placeholders must fit on the page
+CertificateTemplateSchema.pre("validate", function (next) {
+  this.placeholders.forEach((placeholder, index) => {
+    if (placeholder.x > this.pageWidth || placeholder.y > this.pageHeight) {
+      this.invalidate(
+        `placeholders.${index}`,
+        "Placeholder position is outside the page"
+      );
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.model("CertificateTemplate", CertificateTemplateSchema);
@@ -1,5 +1,144 @@
 const mongoose = require("mongoose");
 
+// Events created before endDate existed are treated as lasting this long
+const DEFAULT_DURATION_MS = 30 * 60 * 1000;
+
+// Speaker for an agenda session - either a linked Student or an external guest
+const SpeakerSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, "Speaker name cannot exceed 50 characters"],
+    required: [
+      function () {
+        return !this.student;
+      },
+      "External speakers need a name",
+    ],
+  },
+  bio: {
+    type: String,
+    maxlength: [1000, "Speaker bio cannot exceed 1000 characters"],
+  },
+  affiliation: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Affiliation cannot exceed 100 characters"],
+  },
+  photo: {
+    url: {
+      type: String,
+      validate: {
+        validator: function (url) {
+          if (!url) return true; // Optional field
+          return /^https?:\/\/.+\..+/.test(url);
+        },
+        message: "Please provide a valid photo URL",
+      },
+    },
+    publicId: String,
+  },
+});
+
+// A talk or slot on the event agenda
+const SessionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Session title is required"],
+    trim: true,
+    maxlength: [100, "Title cannot exceed 100 characters"],
+  },
+  description: {
+    type: String,
+    maxlength: [2000, "Session description cannot exceed 2000 characters"],
+  },
+  startTime: {
+    type: Date,
+    required: [true, "Session start time is required"],
+  },
+  endTime: {
+    type: Date,
+    required: [true, "Session end time is required"],
+    validate: {
+      validator: function (value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: "Session end time must be after its start time",
+    },
+  },
+  room: {
+    type: String,
+    trim: true,
+  },
+  // Leave empty for sessions limited only by the event capacity
+  capacity: {
+    type: Number,
+    min: [1, "Session capacity must be at least 1"],
+  },
+  speakers: [SpeakerSchema],
+  attendees: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+  ],
+},
+{
+  toJSON: {
+    virtuals: true,
+  },
+  toObject: {
+    virtuals: true,
+  },
+});
+
+SessionSchema.virtual("attendeeCount").get(function () {
+  const attendees = this.attendees || [];
+  return attendees.length;
+});
+
+SessionSchema.virtual("isFull").get(function () {
+  return !!this.capacity && (this.attendees || []).length >= this.capacity;
+});
+
+// One step of an event's review: a submission or an admin's decision
+const ReviewSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      // reopened: a published event went back to review after a content edit
+      enum: ["submitted", "reopened", "approved", "rejected"],
+      required: true,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Review comment cannot exceed 2000 characters"],
+    },
+    // Specific changes the organizer has to make before resubmitting
+    requiredChanges: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [500, "Required change cannot exceed 500 characters"],
+      },
+    ],
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const EventSchema = new mongoose.Schema(
   {
     title: {
@@ -26,6 +165,17 @@ const EventSchema = new mongoose.Schema(
           "Event date must be at least 1 minute in the future (UTC time)",
       },
     },
+    endDate: {
+      type: Date,
+      validate: {
+        validator: function (value) {
+          // In update queries `this` is the query - updateEvent checks the pair itself
+          if (!(this instanceof mongoose.Document)) return true;
+          return !value || !this.date || value > this.date;
+        },
+        message: "Event end date must be after the start date",
+      },
+    },
     location: {
       type: String,
       required: [true, "Location is required"],
@@ -60,11 +210,75 @@ const EventSchema = new mongoose.Schema(
         ref: "Student",
       },
     ],
+    // Ordered waitlist - first entry is next in line for a freed seat
+    waitlist: [
+      {
+        student: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Student",
+          required: true,
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // Set when a seat is offered; the seat is held until offerExpiresAt
+        offeredAt: Date,
+        offerExpiresAt: Date,
+      },
+    ],
+    // Check-ins recorded at the venue - participants only means "registered"
+    attendance: [
+      {
+        student: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Student",
+          required: true,
+        },
+        checkedInAt: {
+          type: Date,
+          default: Date.now,
+        },
+        checkedInBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Student",
+        },
+        method: {
+          type: String,
+          enum: ["qr", "code", "offline"],
+          default: "qr",
+        },
+        // Offline scans: checkedInAt is the device timestamp of the scan
+        deviceId: String,
+        // Roster the device was set up with (see GET /roster)
+        rosterId: String,
+        recordId: String,
+        syncedAt: Date,
+      },
+    ],
+    // Agenda for multi-session events (conferences, seminars)
+    sessions: [SessionSchema],
+    // Recurring events: occurrences of the same series share this id
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EventSeries",
+    },
+    occurrenceIndex: Number,
     status: {
       type: String,
       enum: ["upcoming", "ongoing", "completed", "cancelled"],
       default: "upcoming",
     },
+    // Review workflow: draft -> pending -> published or rejected. Only
+    // published events are shown to the public or open for registration.
+    approvalStatus: {
+      type: String,
+      enum: ["draft", "pending", "published", "rejected"],
+      default: "draft",
+    },
+    reviews: [ReviewSchema],
+    submittedAt: Date,
+    publishedAt: Date,
     images: [
       {
         url: {
@@ -103,6 +317,24 @@ const EventSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Who receives a participation certificate when the event completes
+    certificateAudience: {
+      type: String,
+      enum: ["participants", "attendees"],
+      default: "participants",
+    },
+    certificatesIssuedAt: {
+      type: Date,
+    },
+    // Last time someone was added to the attendance, so attendees checked in
+    // after certificates were issued still get theirs
+    attendanceChangedAt: {
+      type: Date,
+    },
+    certificateTemplate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CertificateTemplate",
+    },
     sendReminders: {
       type: Boolean,
       default: true,
@@ -130,10 +362,15 @@ const EventSchema = new mongoose.Schema(
   }
 );
 
-// Virtual for checking if event is full - FIXED
+// Virtual for checking if event is full (seats held by waitlist offers count as taken)
 EventSchema.virtual("isFull").get(function () {
-  const participants = this.participants || [];
-  return participants.length >= this.maxParticipants;
+  return this.availableSeats() <= 0;
+});
+
+// Virtual for waitlist length
+EventSchema.virtual("waitlistCount").get(function () {
+  const waitlist = this.waitlist || [];
+  return waitlist.length;
 });
 
 // Virtual for participant count - FIXED
@@ -142,6 +379,11 @@ EventSchema.virtual("participantCount").get(function () {
   return participants.length;
 });
 
+// Virtual for the effective end of the event
+EventSchema.virtual("endsAt").get(function () {
+  return this.getEndDate();
+});
+
 // Virtual for days until event
 EventSchema.virtual("daysUntil").get(function () {
   const now = new Date();
@@ -152,10 +394,23 @@ EventSchema.virtual("daysUntil").get(function () {
 
 // Indexes for better query performance
 EventSchema.index({ date: 1 });
+EventSchema.index({ endDate: 1 });
 EventSchema.index({ organizer: 1 });
 EventSchema.index({ category: 1 });
 EventSchema.index({ status: 1 });
+EventSchema.index({ approvalStatus: 1, submittedAt: 1 });
 EventSchema.index({ lastStatusUpdate: 1 });
+EventSchema.index({ "waitlist.offerExpiresAt": 1 });
+EventSchema.index({ series: 1, date: 1 });
+EventSchema.index({ "attendance.student": 1 });
+
+// Default the end of new events that don't set one
+EventSchema.pre("validate", function (next) {
+  if (this.isNew && !this.endDate && this.date) {
+    this.endDate = new Date(new Date(this.date).getTime() + DEFAULT_DURATION_MS);
+  }
+  next();
+});
 
 // Middleware to validate organizer role
 EventSchema.pre("save", async function (next) {
@@ -180,11 +435,114 @@ EventSchema.methods.isStudentRegistered = function (studentId) {
   );
 };
 
+// Find a student's waitlist entry (if any)
+EventSchema.methods.getWaitlistEntry = function (studentId) {
+  const waitlist = this.waitlist || [];
+  return waitlist.find((entry) => {
+    const id = entry.student?._id || entry.student;
+    return id && id.toString() === studentId.toString();
+  });
+};
+
+// Check whether a waitlist entry holds an offer that can still be claimed
+EventSchema.methods.hasActiveOffer = function (entry, now = new Date()) {
+  return !!(entry && entry.offerExpiresAt && entry.offerExpiresAt > now);
+};
+
+// Seats left after participants and unexpired waitlist offers
+EventSchema.methods.availableSeats = function (now = new Date()) {
+  const participants = this.participants || [];
+  const heldSeats = (this.waitlist || []).filter((entry) =>
+    this.hasActiveOffer(entry, now)
+  ).length;
+  return this.maxParticipants - participants.length - heldSeats;
+};
+
+// Find a student's check-in record (if any)
+EventSchema.methods.getAttendanceRecord = function (studentId) {
+  return (this.attendance || []).find((record) => {
+    const id = record.student?._id || record.student;
+    return id && id.toString() === studentId.toString();
+  });
+};
+
+// Check that a session fits inside the event and doesn't double-book its room
+EventSchema.methods.validateSession = function (session) {
+  const start = new Date(session.startTime);
+  const end = new Date(session.endTime);
+
+  if (start < new Date(this.date) || end > this.getEndDate()) {
+    return "Session must take place between the event start and end";
+  }
+
+  const roomClash = (this.sessions || []).find(
+    (other) =>
+      !other._id.equals(session._id) &&
+      session.room &&
+      other.room === session.room &&
+      other.startTime < end &&
+      start < other.endTime
+  );
+  if (roomClash) {
+    return `Room ${session.room} is already booked for "${roomClash.title}"`;
+  }
+
+  return null;
+};
+
+// Find a session the student already attends that overlaps the given one
+EventSchema.methods.findOverlappingSession = function (studentId, session) {
+  return (this.sessions || []).find(
+    (other) =>
+      !other._id.equals(session._id) &&
+      other.attendees.some((id) => id.equals(studentId)) &&
+      other.startTime < session.endTime &&
+      session.startTime < other.endTime
+  );
+};
+
+// Aggregation condition matching events with at least one free seat, counting
+// participants plus seats held by unexpired waitlist offers. Used inside $expr
+// so the capacity check happens in the same write that takes the seat.
+EventSchema.statics.openSeatCondition = function (now = new Date()) {
+  return {
+    $lt: [
+      {
+        $add: [
+          { $size: { $ifNull: ["$participants", []] } },
+          {
+            $size: {
+              $filter: {
+                input: { $ifNull: ["$waitlist", []] },
+                as: "entry",
+                cond: { $gt: ["$$entry.offerExpiresAt", now] },
+              },
+            },
+          },
+        ],
+      },
+      "$maxParticipants",
+    ],
+  };
+};
+
+// End of the event, falling back to the default duration for older events
+EventSchema.methods.getEndDate = function () {
+  if (this.endDate) return new Date(this.endDate);
+  if (!this.date) return undefined;
+  return new Date(new Date(this.date).getTime() + DEFAULT_DURATION_MS);
+};
+
+// Aggregation expression for the end of the event (same fallback as getEndDate)
+EventSchema.statics.endDateExpression = function () {
+  return { $ifNull: ["$endDate", { $add: ["$date", DEFAULT_DURATION_MS] }] };
+};
+
 // Add instance method to update individual event status
 EventSchema.methods.updateStatus = function () {
   const now = new Date();
   const eventTime = new Date(this.date);
-  const thirtyMinutesAgo = new Date(now.getTime() - 30 * 60 * 1000);
+  const endTime = this.getEndDate();
 
   let newStatus = this.status;
 
@@ -192,7 +550,7 @@ EventSchema.methods.updateStatus = function () {
     return; // Don't update cancelled events
   }
 
-  if (eventTime <= thirtyMinutesAgo) {
+  if (endTime <= now) {
     newStatus = "completed";
   } else if (eventTime <= now) {
     newStatus = "ongoing";
@@ -217,7 +575,6 @@ EventSchema.methods.updateStatus = function () {
 // Static method for bulk status update
 EventSchema.statics.updateEventsStatus = async function () {
   const now = new Date();
-  const thirtyMinutesAgo = new Date(now.getTime() - 30 * 60 * 1000);
 
   const result = {
     updated: 0,
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const { MAX_OCCURRENCES } = require("../utils/recurrence");
+
+const EventSeriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Series title is required"],
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: {
+          values: ["daily", "weekly", "monthly"],
+          message: "Frequency must be daily, weekly, or monthly",
+        },
+        required: [true, "Recurrence frequency is required"],
+      },
+      interval: {
+        type: Number,
+        min: [1, "Interval must be at least 1"],
+        max: [12, "Interval cannot exceed 12"],
+        default: 1,
+      },
+      count: {
+        type: Number,
+        min: [1, "Count must be at least 1"],
+        max: [MAX_OCCURRENCES, `Count cannot exceed ${MAX_OCCURRENCES}`],
+      },
+      until: Date,
+      excludedDates: [Date],
+    },
+    // Students enrolled in the whole series rather than single occurrences
+    subscribers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Student",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+EventSeriesSchema.index({ organizer: 1 });
+
+// A rule must end, either after a number of occurrences or on a date
+EventSeriesSchema.pre("validate", function (next) {
+  if (!this.recurrence?.count && !this.recurrence?.until) {
+    this.invalidate(
+      "recurrence",
+      "Recurrence needs either a count or an until date"
+    );
+  }
+  next();
+});
+
+module.exports = mongoose.model("EventSeries", EventSeriesSchema);
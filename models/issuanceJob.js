@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+// One CSV row. `status` is filled in by the dry-run (valid/invalid) and then
+// by the commit (issued/failed/skipped).
+const IssuanceRowSchema = new mongoose.Schema(
+  {
+    row: {
+      type: Number,
+      required: true,
+    },
+    studentEmail: String,
+    winnerPosition: Number,
+    certificateURL: String,
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CertificateTemplate",
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+    status: {
+      type: String,
+      enum: ["valid", "invalid", "issued", "failed", "skipped"],
+      default: "valid",
+    },
+    issues: [
+      {
+        code: String,
+        message: String,
+        _id: false,
+      },
+    ],
+    certificateId: String,
+  },
+  { _id: false }
+);
+
+// A bulk winner certificate upload: previewed as a dry-run, then committed
+// and issued in the background
+const IssuanceJobSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    fileName: String,
+    status: {
+      type: String,
+      enum: ["preview", "queued", "running", "completed", "failed"],
+      default: "preview",
+    },
+    rows: [IssuanceRowSchema],
+    summary: {
+      total: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+    },
+    progress: {
+      processed: { type: Number, default: 0 },
+      issued: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    lastError: String,
+    // Worker processing the job while running. Another worker may take the
+    // job over once the lease expires, e.g. after a crash.
+    lease: {
+      owner: String,
+      expiresAt: Date,
+    },
+    committedAt: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    // Only set while in preview, so abandoned dry-runs are cleaned up
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+IssuanceJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+IssuanceJobSchema.index({ status: 1, committedAt: 1 });
+IssuanceJobSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model("IssuanceJob", IssuanceJobSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// A participant's request to become an organizer. Decided applications are
+// kept as the audit record of who granted (or refused) the role and why.
+const OrganizerApplicationSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    clubName: {
+      type: String,
+      required: [true, "Club name is required"],
+      trim: true,
+      maxlength: [100, "Club name cannot exceed 100 characters"],
+    },
+    justification: {
+      type: String,
+      required: [true, "Please explain why you need organizer access"],
+      trim: true,
+      minlength: [20, "Justification must be at least 20 characters"],
+      maxlength: [2000, "Justification cannot exceed 2000 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+    reviewedAt: Date,
+    decisionNote: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Decision note cannot exceed 2000 characters"],
+    },
+    // Role before and after the decision
+    previousRole: String,
+    grantedRole: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open application per student
+OrganizerApplicationSchema.index(
+  { student: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+OrganizerApplicationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("OrganizerApplication", OrganizerApplicationSchema);
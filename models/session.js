@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// A signed-in device. The refresh token is rotated on every use and only its
+// hash is stored; presenting an old one means it leaked, so the session is
+// revoked.
+const SessionSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    userAgent: String,
+    ip: String,
+    // Optional name the client gives itself, e.g. "Chrome on Windows"
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Device name cannot exceed 100 characters"],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    rotations: {
+      type: Number,
+      default: 0,
+    },
+    // Sliding expiry, pushed forward on each refresh. Expired sessions are
+    // removed by the TTL index below.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "revoked",
+        "revoked_others",
+        "password_changed",
+        "reuse_detected",
+        "two_factor_enabled",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ student: 1, revokedAt: 1 });
+
+// Sessions that can still be used
+SessionSchema.statics.activeFilter = function (filter = {}) {
+  return { ...filter, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -2,6 +2,44 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 
+// A wallet the student has linked. Unlinked wallets are kept (with
+// unlinkedAt set) so old certificates can still be traced back.
+const WalletSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: "Invalid Ethereum address format",
+      },
+      lowercase: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Wallet label cannot exceed 50 characters"],
+    },
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedAt: Date,
+    primary: {
+      type: Boolean,
+      default: false,
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    unlinkedAt: Date,
+  },
+  { _id: false }
+);
+
 const StudentSchema = new mongoose.Schema(
   {
     name: {
@@ -37,23 +75,12 @@ const StudentSchema = new mongoose.Schema(
         message: "Please provide a valid avatar URL",
       },
     },
+    // Email ownership, confirmed by a verification link or by Google
     isVerified: {
       type: Boolean,
       default: false,
     },
-    tokens: [
-      {
-        token: {
-          type: String,
-          required: true,
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-          // expires: 86400, // Auto-expire tokens after 24 hours
-        },
-      },
-    ],
+    emailVerifiedAt: Date,
     email: {
       type: String,
       required: [true, "Please provide an email"],
@@ -94,6 +121,8 @@ const StudentSchema = new mongoose.Schema(
       },
       uppercase: true,
     },
+    wallets: [WalletSchema],
+    // metaMaskAddress and walletVerified mirror the primary wallet
     metaMaskAddress: {
       type: String,
       validate: {
@@ -105,6 +134,21 @@ const StudentSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    walletVerified: {
+      type: Boolean,
+      default: false,
+    },
+    walletVerifiedAt: Date,
+    // Outstanding EIP-4361 challenge; the nonce is single-use
+    walletChallenge: {
+      type: {
+        address: String,
+        nonce: String,
+        message: String,
+        expiresAt: Date,
+      },
+      select: false,
+    },
     role: {
       type: String,
       enum: {
@@ -122,6 +166,11 @@ const StudentSchema = new mongoose.Schema(
     passwordChangedAt: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    // Hash of the id of the latest unused magic login link
+    magicLinkTokenHash: {
+      type: String,
+      select: false,
+    },
     lastLoginAt: Date,
     loginAttempts: {
       type: Number,
@@ -132,11 +181,42 @@ const StudentSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // TOTP two-factor authentication. Secrets are stored encrypted and
+    // recovery codes as hashes.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Set during enrollment until the first code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Last time step a code was accepted for, so a code can't be reused
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+    },
     active: {
       type: Boolean,
       default: true,
       select: false,
     },
+    // Set by deleteMe. Until purgeAfter the account can be restored from the
+    // emailed link; after it, accountPurgeService erases it.
+    deletedAt: Date,
+    purgeAfter: Date,
   },
   {
     timestamps: true,
@@ -250,12 +330,52 @@ StudentSchema.methods.resetLoginAttempts = async function () {
   });
 };
 
+StudentSchema.index({ purgeAfter: 1 }, { sparse: true });
+
 // Query middleware to filter out inactive students
 StudentSchema.pre(/^find/, function (next) {
-  this.find({ active: { $ne: false } });
+  // Queries that filter on `active` themselves (account restore and purge)
+  // can see deleted students
+  if (this.getFilter().active === undefined) {
+    this.find({ active: { $ne: false } });
+  }
   next();
 });
 
+// Wallets that are currently linked
+StudentSchema.methods.getActiveWallets = function () {
+  return this.wallets.filter((wallet) => !wallet.unlinkedAt);
+};
+
+// Accounts from before multiple wallets only have metaMaskAddress; turn it
+// into the primary entry of the wallet list
+StudentSchema.methods.migrateLegacyWallet = function () {
+  if (this.wallets.length > 0 || !this.metaMaskAddress) return;
+
+  this.wallets.push({
+    address: this.metaMaskAddress,
+    verified: !!this.walletVerified,
+    verifiedAt: this.walletVerifiedAt,
+    primary: true,
+    linkedAt: this.walletVerifiedAt || this.updatedAt,
+  });
+};
+
+// Make `address` the primary wallet (or clear it when null) and update the
+// mirrored fields
+StudentSchema.methods.setPrimaryWallet = function (address) {
+  let primary = null;
+
+  for (const wallet of this.wallets) {
+    wallet.primary = !wallet.unlinkedAt && wallet.address === address;
+    if (wallet.primary) primary = wallet;
+  }
+
+  this.metaMaskAddress = primary?.address;
+  this.walletVerified = !!primary?.verified;
+  this.walletVerifiedAt = primary?.verifiedAt;
+};
+
 StudentSchema.methods.upgradeToOrganizer = function () {
   this.role = "organizer";
   return this.save();
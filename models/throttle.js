@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// Rate limit for actions that send email (magic links, password resets),
+// kept in the database so it holds across restarts and server instances.
+// One document per key, e.g. "magic-link:jane@uni.edu".
+const ThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  windowStartedAt: Date,
+  lastAttemptAt: Date,
+  // Removed by the TTL index once the window has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+ThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Record an attempt if it's allowed: at least `cooldownMs` since the last one
+// and fewer than `limit` in the current `windowMs`. Returns false otherwise.
+ThrottleSchema.statics.attempt = async function (
+  key,
+  { cooldownMs = 60 * 1000, limit = 5, windowMs = 60 * 60 * 1000 } = {}
+) {
+  const now = new Date();
+  const windowCutoff = new Date(now.getTime() - windowMs);
+  // Also true for a new document, as a missing field sorts before any date
+  const windowExpired = { $lte: ["$windowStartedAt", windowCutoff] };
+
+  try {
+    // A document that exists but doesn't match makes the upsert insert a
+    // duplicate key, which means the attempt is throttled
+    await this.updateOne(
+      {
+        key,
+        $and: [
+          {
+            $or: [
+              { lastAttemptAt: { $lte: new Date(now.getTime() - cooldownMs) } },
+              { lastAttemptAt: null },
+            ],
+          },
+          {
+            $or: [
+              { windowStartedAt: { $lte: windowCutoff } },
+              { windowStartedAt: null },
+              { count: { $lt: limit } },
+            ],
+          },
+        ],
+      },
+      [
+        {
+          $set: {
+            count: { $cond: [windowExpired, 1, { $add: ["$count", 1] }] },
+            windowStartedAt: { $cond: [windowExpired, now, "$windowStartedAt"] },
+            lastAttemptAt: now,
+            expiresAt: new Date(now.getTime() + windowMs),
+          },
+        },
+      ],
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+module.exports = mongoose.model("Throttle", ThrottleSchema);
@@ -17,4 +17,22 @@ router.post("/events/update-status", adminController.manualStatusUpdate);
 router.get("/events/status-service", adminController.getStatusServiceInfo);
 router.get("/events/pending-updates", adminController.getPendingStatusUpdates);
 
+router.get("/events/review", adminController.getEventReviewQueue);
+router.patch("/events/:eventId/review", adminController.reviewEvent);
+
+router.get("/organizer-applications", adminController.getOrganizerApplications);
+router.patch(
+  "/organizer-applications/:applicationId",
+  adminController.decideOrganizerApplication
+);
+
+router.get("/reconciliation", adminController.getReconciliationReport);
+router.post("/reconciliation/apply", adminController.applyReconciliation);
+
+router.get("/anchoring", adminController.getAnchoringStatus);
+router.post("/anchoring/run", adminController.runAnchoring);
+
+router.get("/account-purge", adminController.getAccountPurgeStatus);
+router.post("/account-purge/run", adminController.runAccountPurge);
+
 module.exports = router;
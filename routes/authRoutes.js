@@ -19,11 +19,48 @@ router.post('/google', authController.googleLogin);
 // @access  Public
 router.post('/login', authController.login);
 
+// @desc    Finish logging in with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', authController.verifyTwoFactorLogin);
+
+// @desc    Request a one-time login link, or log in with one
+// @route   POST /api/auth/magic-link, POST /api/auth/magic-link/:token
+// @access  Public
+router.post('/magic-link', authController.requestMagicLink);
+router.post('/magic-link/:token', authController.consumeMagicLink);
+
 // @desc    Logout student
 // @route   GET /api/auth/logout
 // @access  Private
 router.post('/logout', authMiddleware.protect, authController.logout);
 
+// @desc    Resend or confirm the email verification link
+// @route   POST /api/auth/verify-email/resend, POST /api/auth/verify-email/:token
+router.post('/verify-email/resend', authMiddleware.protect, authController.resendVerificationEmail);
+router.post('/verify-email/:token', authController.verifyEmail);
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', authController.refreshSession);
+
+// @desc    List, revoke one, or revoke all other sessions
+// @route   /api/auth/sessions
+// @access  Private
+router.get('/sessions', authMiddleware.protect, authController.getSessions);
+router.delete('/sessions', authMiddleware.protect, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authMiddleware.protect, authController.revokeSession);
+
+// @desc    Two-factor authentication status, setup, recovery codes and disabling
+// @route   /api/auth/2fa
+// @access  Private
+router.get('/2fa', authMiddleware.protect, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware.protect, authController.setupTwoFactor);
+router.post('/2fa/confirm', authMiddleware.protect, authController.confirmTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware.protect, authController.regenerateRecoveryCodes);
+router.delete('/2fa', authMiddleware.protect, authController.disableTwoFactor);
+
 // @desc    Get current logged-in student
 // @route   GET /api/auth/me
 // @access  Private
@@ -53,18 +90,34 @@ router.delete(
 // @access  Private
 router.delete('/delete-me', authMiddleware.protect, authController.deleteMe);
 
+// @desc    Restore a deleted account during its grace period
+// @route   POST /api/auth/restore, POST /api/auth/restore/:token
+// @access  Public
+router.post('/restore', authController.requestAccountRestore);
+router.post('/restore/:token', authController.restoreAccount);
+
 // @desc    Change password
 // @route   PATCH /api/auth/update-password
 // @access  Private
 router.patch('/update-password', authMiddleware.protect, authController.updatePassword);
 
-// @desc    Change role
-// @route   PATCH /api/auth/upgrade-to-organizer
+// @desc    Apply to become an organizer (an admin approves the role change)
+// @route   POST /api/auth/organizer-application
 // @access  Private
-router.patch(
-  "/upgrade-to-organizer",
+router.post(
+  "/organizer-application",
   authMiddleware.protect,
-  authController.upgradeToOrganizer
+  authMiddleware.requireVerifiedEmail,
+  authController.applyForOrganizer
 );
 
+router.get(
+  "/organizer-application",
+  authMiddleware.protect,
+  authController.getMyOrganizerApplications
+);
+
+// Old self-service upgrade, gone (410) in favour of applications
+router.patch("/upgrade-to-organizer", authController.upgradeToOrganizer);
+
 module.exports = router;
\ No newline at end of file
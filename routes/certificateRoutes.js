@@ -1,11 +1,36 @@
 const express = require("express");
 const router = express.Router();
 const certificateController = require("../controllers/certificateController");
+const templateController = require("../controllers/certificateTemplateController");
+const bulkIssuanceController = require("../controllers/bulkIssuanceController");
 const authMiddleware = require("../middleware/authMiddleware");
+const { uploadImage, uploadCsv } = require("../middleware/uploadMiddleware");
+
+// Template details arrive as a JSON string next to the background image
+const parseTemplateData = (req, res, next) => {
+  if (req.body.templateData) {
+    try {
+      req.body = { ...JSON.parse(req.body.templateData) };
+    } catch (error) {
+      return res.status(400).json({
+        status: "fail",
+        message: "Invalid template data format",
+      });
+    }
+  }
+  next();
+};
 
 // Public routes
 router.get("/verify/:certificateId", certificateController.verifyCertificate);
+router.post("/verify", certificateController.verifySignedPayload);
+router.get("/jwks.json", certificateController.getSigningKeys);
+router.get("/revocations", certificateController.getRevocationList);
 router.get("/by-wallet/:metaMaskAddress", certificateController.getCertificatesByWallet);
+router.get("/:certificateId/pdf", certificateController.downloadCertificatePdf);
+router.get("/:certificateId/file", certificateController.downloadCertificateFile);
+router.get("/:certificateId/credential", certificateController.exportCredential);
+router.get("/issuers/:organizerId", certificateController.getIssuerProfile);
 
 // Protected routes
 router.use(authMiddleware.protect);
@@ -18,9 +43,44 @@ router.get(
 router.post(
   "/issue",
   authMiddleware.restrictTo("organizer", "admin"),
+  authMiddleware.requireVerifiedEmail,
   certificateController.issueCertificates
 );
 
+// Bulk issuance from CSV: dry-run on upload, then commit as a background job
+router.post(
+  "/event/:eventId/bulk",
+  authMiddleware.restrictTo("organizer", "admin"),
+  authMiddleware.requireVerifiedEmail,
+  uploadCsv.single("file"),
+  bulkIssuanceController.uploadBulkIssuance
+);
+
+router.post(
+  "/jobs/:jobId/commit",
+  authMiddleware.restrictTo("organizer", "admin"),
+  authMiddleware.requireVerifiedEmail,
+  bulkIssuanceController.commitBulkIssuance
+);
+
+router.get(
+  "/jobs/:jobId",
+  authMiddleware.restrictTo("organizer", "admin"),
+  bulkIssuanceController.getBulkIssuanceJob
+);
+
+router.get(
+  "/jobs/:jobId/results.csv",
+  authMiddleware.restrictTo("organizer", "admin"),
+  bulkIssuanceController.downloadBulkIssuanceResults
+);
+
+router.post(
+  "/event/:eventId/participation",
+  authMiddleware.restrictTo("organizer", "admin"),
+  authMiddleware.requireVerifiedEmail,
+  certificateController.issueParticipationCertificates
+);
 
 router.get(
   "/event/:eventId",
@@ -34,4 +94,63 @@ router.patch(
   certificateController.revokeCertificate
 );
 
+router.patch(
+  "/reinstate/:certificateId",
+  authMiddleware.restrictTo("admin"),
+  certificateController.reinstateCertificate
+);
+
+router.get(
+  "/:certificateId/history",
+  authMiddleware.restrictTo("organizer", "admin"),
+  certificateController.getCertificateHistory
+);
+
+// Certificate templates
+router.post(
+  "/templates",
+  authMiddleware.restrictTo("organizer", "admin"),
+  uploadImage.single("background"),
+  parseTemplateData,
+  templateController.createTemplate
+);
+
+router.get(
+  "/templates",
+  authMiddleware.restrictTo("organizer", "admin"),
+  templateController.getMyTemplates
+);
+
+router.get(
+  "/templates/:templateId",
+  authMiddleware.restrictTo("organizer", "admin"),
+  templateController.getTemplate
+);
+
+router.patch(
+  "/templates/:templateId",
+  authMiddleware.restrictTo("organizer", "admin"),
+  uploadImage.single("background"),
+  parseTemplateData,
+  templateController.updateTemplate
+);
+
+router.delete(
+  "/templates/:templateId",
+  authMiddleware.restrictTo("organizer", "admin"),
+  templateController.deleteTemplate
+);
+
+router.get(
+  "/templates/:templateId/preview",
+  authMiddleware.restrictTo("organizer", "admin"),
+  templateController.previewTemplate
+);
+
+router.put(
+  "/event/:eventId/template",
+  authMiddleware.restrictTo("organizer", "admin"),
+  templateController.setEventTemplate
+);
+
 module.exports = router;
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const eventController = require("../controllers/eventController");
+const seriesController = require("../controllers/seriesController");
+const agendaController = require("../controllers/agendaController");
+const ticketController = require("../controllers/ticketController");
 const authMiddleware = require("../middleware/authMiddleware");
 const { checkEventExists } = require("../middleware/eventMiddleware");
 const { uploadImage } = require("../middleware/uploadMiddleware");
@@ -8,7 +11,14 @@ const { uploadImage } = require("../middleware/uploadMiddleware");
 // Public routes (no authentication required)
 router.get("/", eventController.getAllEvents);
 
-router.get("/:eventId", checkEventExists, eventController.getEvent);
+router.get("/series/:seriesId", seriesController.getSeries);
+
+router.get(
+  "/:eventId",
+  authMiddleware.identify,
+  checkEventExists,
+  eventController.getEvent
+);
 
 // Protected routes (require authentication)
 router.use(authMiddleware.protect);
@@ -53,6 +63,63 @@ router.post(
   eventController.unenrollFromEvent
 );
 
+router.post(
+  "/waitlist/:eventId",
+  authMiddleware.restrictTo("participant"),
+  checkEventExists,
+  eventController.joinWaitlist
+);
+
+router.delete(
+  "/waitlist/:eventId",
+  authMiddleware.restrictTo("participant"),
+  checkEventExists,
+  eventController.leaveWaitlist
+);
+
+// Tickets for enrolled participants
+router.get(
+  "/:eventId/ticket",
+  authMiddleware.restrictTo("participant"),
+  checkEventExists,
+  ticketController.getTicket
+);
+
+router.get(
+  "/:eventId/ticket/qr",
+  authMiddleware.restrictTo("participant"),
+  checkEventExists,
+  ticketController.getTicketQR
+);
+
+// Agenda session picks
+router.post(
+  "/:eventId/sessions/:sessionId/attend",
+  authMiddleware.restrictTo("participant"),
+  checkEventExists,
+  agendaController.attendSession
+);
+
+router.delete(
+  "/:eventId/sessions/:sessionId/attend",
+  authMiddleware.restrictTo("participant"),
+  checkEventExists,
+  agendaController.leaveSession
+);
+
+// Series enrollment (every upcoming occurrence)
+router.post(
+  "/series/:seriesId/enroll",
+  authMiddleware.restrictTo("participant"),
+  seriesController.enrollInSeries
+);
+
+router.post(
+  "/series/:seriesId/unenroll",
+  authMiddleware.restrictTo("participant"),
+  seriesController.unenrollFromSeries
+);
+
 // Get recent events
 router.get(
   "/recent-events",
@@ -84,6 +151,7 @@ router.use(authMiddleware.restrictTo("organizer"));
 
 router.post(
   "/create",
+  authMiddleware.requireVerifiedEmail,
   uploadImage.single("image"),
   (req, res, next) => {
     // Parse the eventData JSON string if it exists
@@ -116,6 +184,74 @@ router.delete(
   eventController.deleteEvent
 );
 
+router.post(
+  "/:eventId/submit",
+  authMiddleware.requireVerifiedEmail,
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  eventController.submitEventForReview
+);
+
+// Venue check-in and attendance
+router.post(
+  "/:eventId/check-in",
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  ticketController.checkIn
+);
+
+router.get(
+  "/:eventId/attendance",
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  ticketController.getAttendanceReport
+);
+
+// Offline check-in: download a roster, upload scans later
+router.get(
+  "/:eventId/roster",
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  ticketController.getRoster
+);
+
+router.post(
+  "/:eventId/attendance/sync",
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  ticketController.syncAttendance
+);
+
+// Agenda management
+router.post(
+  "/:eventId/sessions",
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  agendaController.addSession
+);
+
+router.patch(
+  "/:eventId/sessions/:sessionId",
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  agendaController.updateSession
+);
+
+router.delete(
+  "/:eventId/sessions/:sessionId",
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  agendaController.deleteSession
+);
+
+router.post(
+  "/:eventId/sessions/:sessionId/speakers/:speakerId/photo",
+  checkEventExists,
+  authMiddleware.isEventOrganizer,
+  uploadImage.single("photo"),
+  agendaController.uploadSpeakerPhoto
+);
+
 router.put(
   "/modify-participants/:eventId",
   checkEventExists,
@@ -8,10 +8,47 @@ router.get('/test', (req, res) => {
   res.status(200).json({ message: "Wallet route is working!" });
 });
 
+router.get(
+  '/',
+  authMiddleware.protect,
+  walletController.getWallets
+);
+
+router.post(
+  '/challenge',
+  authMiddleware.protect,
+  walletController.requestChallenge
+);
+
+router.post(
+  '/verify',
+  authMiddleware.protect,
+  walletController.verifyWallet
+);
+
+// Kept for existing clients; now requires a signed challenge too
 router.patch(
   '/',
   authMiddleware.protect,
+  walletController.verifyWallet
+);
+
+router.post(
+  '/certificates/repoint',
+  authMiddleware.protect,
+  walletController.repointCertificates
+);
+
+router.patch(
+  '/:address',
+  authMiddleware.protect,
   walletController.updateWallet
 );
 
+router.delete(
+  '/:address',
+  authMiddleware.protect,
+  walletController.unlinkWallet
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,255 @@
+// services/accountPurgeService.js
+const Certificate = require("../models/certificate");
+const CertificateTemplate = require("../models/certificateTemplate");
+const Event = require("../models/event");
+const EventSeries = require("../models/eventSeries");
+const IssuanceJob = require("../models/issuanceJob");
+const Log = require("../models/log");
+const OrganizerApplication = require("../models/organizerApplication");
+const Session = require("../models/session");
+const Student = require("../models/student");
+const waitlistService = require("./waitlistService");
+const cron = require("node-cron");
+
+// What happens to a purged student's certificates
+const CERTIFICATE_MODES = ["detach", "revoke", "delete"];
+
+// What a deleted account keeps on its certificates, for the restore email
+const CERTIFICATE_NOTICES = {
+  detach:
+    "Certificates you received stay valid. Your email and wallet address are removed from them, but your name stays in their signature.",
+  revoke:
+    "Certificates you received are revoked. Your email and wallet address are removed from them, but your name stays in their signature.",
+  delete: "Certificates you received are deleted.",
+};
+
+// Deleted accounts are kept (inactive) for a grace period in which they can
+// be restored, then erased: the student document is removed and their
+// traces in logs, events and certificates are anonymized or removed.
+class AccountPurgeService {
+  constructor() {
+    this.isRunning = false;
+    this.schedule = process.env.ACCOUNT_PURGE_SCHEDULE || "30 3 * * *";
+    this.graceDays = parseFloat(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    this.certificateMode = CERTIFICATE_MODES.includes(process.env.ACCOUNT_PURGE_CERTIFICATES)
+      ? process.env.ACCOUNT_PURGE_CERTIFICATES
+      : "detach";
+    this.enabled = process.env.ENABLE_ACCOUNT_PURGE !== "false";
+    this.lastRun = null;
+    this.lastSummary = null;
+    this.init();
+  }
+
+  init() {
+    if (!this.enabled) {
+      console.log("⏸️  Account purge is disabled");
+      return;
+    }
+
+    cron.schedule(this.schedule, () => {
+      this.runScheduled();
+    });
+
+    console.log(
+      `🗑️  Account Purge Service initialized - Schedule "${this.schedule}", ${this.graceDays} day grace period`
+    );
+  }
+
+  // When an account deleted now will be purged
+  purgeDateFrom(deletedAt) {
+    return new Date(deletedAt.getTime() + this.graceDays * 24 * 60 * 60 * 1000);
+  }
+
+  getCertificateNotice() {
+    return CERTIFICATE_NOTICES[this.certificateMode];
+  }
+
+  // Content other users depend on, which an account must hand over or
+  // delete before it can be purged. Returns the kinds it still owns.
+  async findOwnedContent(studentId) {
+    const owned = await Promise.all([
+      Event.exists({ organizer: studentId }),
+      EventSeries.exists({ organizer: studentId }),
+      CertificateTemplate.exists({ organizer: studentId }),
+      IssuanceJob.exists({ createdBy: studentId }),
+    ]);
+
+    return ["events", "event series", "certificate templates", "issuance jobs"].filter(
+      (_, index) => owned[index]
+    );
+  }
+
+  async runScheduled() {
+    if (this.isRunning) {
+      console.log("⏳ Account purge already in progress...");
+      return;
+    }
+
+    try {
+      const summary = await this.run();
+      console.log("🗑️  Account purge finished:", summary);
+    } catch (error) {
+      console.error("❌ Error in scheduled account purge:", error);
+    }
+  }
+
+  // Purge every account whose grace period has passed
+  async run() {
+    if (this.isRunning) {
+      throw new Error("Account purge already in progress");
+    }
+
+    this.isRunning = true;
+
+    try {
+      const due = await Student.find({
+        active: false,
+        purgeAfter: { $lte: new Date() },
+      }).select("_id email");
+
+      const summary = { purged: 0, blocked: 0, failed: 0 };
+
+      for (const student of due) {
+        try {
+          // Left inactive until an admin reassigns or deletes their content
+          const owned = await this.findOwnedContent(student._id);
+          if (owned.length) {
+            summary.blocked++;
+            console.warn(
+              `Not purging student ${student._id}: still owns ${owned.join(", ")}`
+            );
+            continue;
+          }
+
+
+          await this.purgeStudent(student);
+          summary.purged++;
+        } catch (error) {
+          // Every step can be repeated, so the next run picks it up again
+          summary.failed++;
+          console.error(`Failed to purge student ${student._id}:`, error.message);
+        }
+      }
+
+      this.lastRun = new Date();
+      this.lastSummary = summary;
+      return summary;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async purgeStudent(student) {
+    const studentId = student._id;
+
+    await this.detachCertificates(studentId);
+    await this.removeFromEvents(studentId);
+
+    await EventSeries.updateMany(
+      { subscribers: studentId },
+      { $pull: { subscribers: studentId } }
+    );
+
+    await Log.updateMany(
+      { $or: [{ userId: studentId }, { userEmail: student.email }] },
+      {
+        $set: { userRole: "anonymous" },
+        $unset: { userId: 1, userEmail: 1, requestBody: 1, responseBody: 1 },
+      }
+    );
+
+    await Session.deleteMany({ student: studentId });
+    await OrganizerApplication.deleteMany({ student: studentId });
+
+    // Last, so a purge that fails halfway is retried on the next run
+    await Student.deleteOne({ _id: studentId, active: false });
+  }
+
+  // ACCOUNT_PURGE_CERTIFICATES: "delete" removes them; "detach" and "revoke"
+  // keep them (revoke also revokes them) without the student's email and
+  // wallet. The student id and name stay, as they're part of the signed
+  // claims.
+  async detachCertificates(studentId) {
+    if (this.certificateMode === "delete") {
+      await Certificate.deleteMany({ student: studentId });
+      return;
+    }
+
+    if (this.certificateMode === "revoke") {
+      const certificates = await Certificate.find({
+        student: studentId,
+        status: { $ne: "revoked" },
+      }).select("certificateId");
+
+      for (const { certificateId } of certificates) {
+        await Certificate.changeStatus(certificateId, {
+          from: ["issued", "verified"],
+          to: "revoked",
+          reasonCode: "other",
+          note: "Recipient account deleted",
+        });
+      }
+    }
+
+    await Certificate.updateMany(
+      { student: studentId },
+      {
+        $set: { studentEmail: `deleted-${studentId}@deleted.invalid`, walletHistory: [] },
+        $unset: { metaMaskAddress: 1 },
+      }
+    );
+  }
+
+  async removeFromEvents(studentId) {
+    const upcomingSeats = await Event.find({
+      participants: studentId,
+      status: "upcoming",
+    }).distinct("_id");
+
+    await Event.updateMany(
+      {
+        $or: [
+          { participants: studentId },
+          { "waitlist.student": studentId },
+          { "attendance.student": studentId },
+        ],
+      },
+      {
+        $pull: {
+          participants: studentId,
+          waitlist: { student: studentId },
+          attendance: { student: studentId },
+        },
+      }
+    );
+
+    // $[] fails on events created before the agenda existed
+    await Event.updateMany(
+      { "sessions.0": { $exists: true }, "sessions.attendees": studentId },
+      { $pull: { "sessions.$[].attendees": studentId } }
+    );
+
+    // Seats freed in upcoming events go to the waitlist
+    for (const eventId of upcomingSeats) {
+      try {
+        await waitlistService.promoteNext(eventId);
+      } catch (error) {
+        console.error(`Waitlist promotion failed for event ${eventId}:`, error.message);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      enabled: this.enabled,
+      schedule: this.schedule,
+      graceDays: this.graceDays,
+      certificateMode: this.certificateMode,
+      lastRun: this.lastRun,
+      lastSummary: this.lastSummary,
+    };
+  }
+}
+
+module.exports = new AccountPurgeService();
@@ -0,0 +1,347 @@
+// services/anchoringService.js
+const Certificate = require("../models/certificate");
+const AnchorBatch = require("../models/anchorBatch");
+const { createChainAdapter } = require("./chainAdapters");
+const {
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof,
+} = require("../utils/merkle");
+const cron = require("node-cron");
+
+const MAX_SUBMIT_ATTEMPTS = 5;
+// A batch still pending after this long was interrupted (e.g. by a restart)
+// between claiming its certificates and submitting its root
+const STALLED_BATCH_MS = 60 * 60 * 1000;
+
+// Newly issued certificates are collected into batches; each batch's Merkle
+// root is submitted through the configured chain adapter, and every
+// certificate keeps its own proof, so one transaction anchors the whole batch.
+class AnchoringService {
+  constructor() {
+    this.isRunning = false;
+    this.schedule = process.env.ANCHOR_SCHEDULE || "*/15 * * * *";
+    this.batchSize = parseInt(process.env.ANCHOR_BATCH_SIZE) || 256;
+    this.adapter = createChainAdapter();
+    // The noop adapter anchors nothing, so it must not claim certificates
+    // that a real chain should anchor later
+    this.enabled =
+      process.env.ENABLE_ANCHORING !== "false" && this.adapter.name !== "noop";
+    this.lastRun = null;
+    this.lastSummary = null;
+    this.init();
+  }
+
+  init() {
+    if (!this.enabled) {
+      console.log(
+        this.adapter.name === "noop"
+          ? "⏸️  Certificate anchoring is disabled (no chain configured, set ANCHOR_ADAPTER)"
+          : "⏸️  Certificate anchoring is disabled"
+      );
+      return;
+    }
+
+    cron.schedule(this.schedule, () => {
+      this.runScheduled();
+    });
+
+    console.log(
+      `⛓️  Anchoring Service initialized - Schedule "${this.schedule}" via ${this.adapter.name} adapter`
+    );
+  }
+
+  async runScheduled() {
+    if (this.isRunning) {
+      console.log("⏳ Anchoring already in progress...");
+      return;
+    }
+
+    try {
+      const summary = await this.run();
+      console.log("⛓️  Anchoring finished:", summary);
+    } catch (error) {
+      console.error("❌ Error in scheduled anchoring:", error);
+    }
+  }
+
+  // Release certificates stuck in dead batches, confirm submitted batches,
+  // retry failed ones, then anchor new certificates
+  async run() {
+    if (this.adapter.name === "noop") {
+      throw new Error("No chain is configured. Set ANCHOR_ADAPTER to anchor certificates.");
+    }
+    if (this.isRunning) {
+      throw new Error("Anchoring already in progress");
+    }
+
+    this.isRunning = true;
+
+    try {
+      const summary = {
+        released: await this.releaseDeadBatches(),
+        confirmed: await this.confirmSubmittedBatches(),
+        retried: await this.retryFailedBatches(),
+        created: [],
+      };
+
+      let batch;
+      while ((batch = await this.createBatch())) {
+        await this.submitBatch(batch);
+        summary.created.push({
+          batch: batch._id,
+          leafCount: batch.leafCount,
+          status: batch.status,
+        });
+
+        // Leave the rest for the next run rather than piling up failed batches
+        if (batch.status === "failed") break;
+      }
+
+      this.lastRun = new Date();
+      this.lastSummary = summary;
+      return summary;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Claim up to batchSize signed, unanchored certificates and give each its
+  // Merkle proof. Claiming by a conditional update keeps two servers from
+  // putting the same certificate in two batches.
+  async createBatch() {
+    const candidates = await Certificate.find({
+      "anchor.batch": null,
+      "signature.token": { $exists: true },
+      status: { $ne: "revoked" },
+    })
+      .sort({ issuedAt: 1 })
+      .limit(this.batchSize)
+      .select("_id");
+
+    if (candidates.length === 0) return null;
+
+    const batch = await AnchorBatch.create({ adapter: this.adapter.name });
+
+    await Certificate.updateMany(
+      { _id: { $in: candidates.map((c) => c._id) }, "anchor.batch": null },
+      { $set: { "anchor.batch": batch._id } }
+    );
+
+    const certificates = await Certificate.find({ "anchor.batch": batch._id })
+      .sort({ _id: 1 })
+      .select("signature");
+
+    if (certificates.length === 0) {
+      await batch.deleteOne();
+      return null;
+    }
+
+    const leaves = certificates.map((certificate) => certificate.getAnchorLeafHash());
+    const { root, levels } = buildMerkleTree(leaves);
+
+    await Certificate.bulkWrite(
+      certificates.map((certificate, index) => ({
+        updateOne: {
+          filter: { _id: certificate._id },
+          update: {
+            $set: {
+              "anchor.leafHash": leaves[index],
+              "anchor.merkleRoot": root,
+              "anchor.proof": getMerkleProof(levels, index),
+              "anchor.chain": this.adapter.name,
+            },
+          },
+        },
+      }))
+    );
+
+    batch.merkleRoot = root;
+    batch.leafCount = certificates.length;
+    await batch.save();
+
+    return batch;
+  }
+
+  async submitBatch(batch) {
+    batch.attempts += 1;
+
+    try {
+      const { txHash, chainId, confirmed } = await this.adapter.submitRoot(
+        batch.merkleRoot
+      );
+
+      batch.txHash = txHash;
+      batch.chainId = chainId;
+      batch.submittedAt = new Date();
+      batch.status = "submitted";
+      batch.lastError = undefined;
+      await batch.save();
+
+      if (confirmed) {
+        await this.markConfirmed(batch, {});
+      }
+    } catch (error) {
+      batch.status = "failed";
+      batch.lastError = error.message;
+      await batch.save();
+      console.error(`❌ Failed to submit anchor batch ${batch._id}:`, error.message);
+    }
+
+    return batch;
+  }
+
+  async markConfirmed(batch, { blockNumber }) {
+    const now = new Date();
+
+    batch.status = "confirmed";
+    batch.blockNumber = blockNumber;
+    batch.confirmedAt = now;
+    await batch.save();
+
+    const update = {
+      "anchor.chainId": batch.chainId,
+      "anchor.blockNumber": blockNumber,
+      "anchor.anchoredAt": now,
+    };
+    if (batch.txHash) {
+      update.blockchainTxHash = batch.txHash;
+    }
+
+    await Certificate.updateMany({ "anchor.batch": batch._id }, { $set: update });
+  }
+
+  async confirmSubmittedBatches() {
+    const batches = await AnchorBatch.find({
+      status: "submitted",
+      adapter: this.adapter.name,
+    });
+    let confirmed = 0;
+
+    for (const batch of batches) {
+      try {
+        const result = await this.adapter.getConfirmation(batch.txHash);
+
+        if (result.status === "confirmed") {
+          await this.markConfirmed(batch, result);
+          confirmed++;
+        } else if (result.status === "failed") {
+          batch.status = "failed";
+          batch.lastError = result.error;
+          await batch.save();
+        }
+      } catch (error) {
+        console.error(`❌ Failed to check anchor batch ${batch._id}:`, error.message);
+      }
+    }
+
+    return confirmed;
+  }
+
+  // Put the certificates of batches that will never reach the chain back in
+  // the queue: batches from the noop adapter (anchoring ran before a chain
+  // was configured), stalled pending batches and failed batches that used up
+  // their attempts
+  async releaseDeadBatches() {
+    const batches = await AnchorBatch.find({
+      $or: [
+        { adapter: "noop", status: { $ne: "abandoned" } },
+        { status: "pending", createdAt: { $lte: new Date(Date.now() - STALLED_BATCH_MS) } },
+        { status: "failed", attempts: { $gte: MAX_SUBMIT_ATTEMPTS } },
+      ],
+    });
+
+    for (const batch of batches) {
+      await Certificate.updateMany(
+        { "anchor.batch": batch._id, blockchainTxHash: null },
+        { $unset: { anchor: 1 } }
+      );
+
+      batch.status = "abandoned";
+      batch.lastError =
+        batch.adapter === "noop"
+          ? "Released: the noop adapter anchors nothing"
+          : batch.lastError || "Released: batch was never submitted";
+      await batch.save();
+    }
+
+    return batches.length;
+  }
+
+  async retryFailedBatches() {
+    const batches = await AnchorBatch.find({
+      status: "failed",
+      adapter: this.adapter.name,
+      attempts: { $lt: MAX_SUBMIT_ATTEMPTS },
+    });
+
+    for (const batch of batches) {
+      await this.submitBatch(batch);
+    }
+
+    return batches.length;
+  }
+
+  // Full anchoring check for one certificate: its leaf still matches its
+  // signature, the proof leads to the batch root, and the root is on chain
+  async verifyCertificate(certificate) {
+    const anchor = certificate.anchor;
+
+    if (!anchor?.merkleRoot) {
+      return { anchored: false };
+    }
+
+    const leafHash = certificate.getAnchorLeafHash();
+    const proofValid =
+      leafHash === anchor.leafHash &&
+      verifyMerkleProof(leafHash, anchor.proof, anchor.merkleRoot);
+
+    const result = {
+      anchored: !!certificate.blockchainTxHash,
+      chain: anchor.chain,
+      chainId: anchor.chainId,
+      txHash: certificate.blockchainTxHash || null,
+      blockNumber: anchor.blockNumber,
+      merkleRoot: anchor.merkleRoot,
+      proof: anchor.proof,
+      proofValid,
+      onChain: false,
+    };
+
+    if (!proofValid || !certificate.blockchainTxHash) {
+      return result;
+    }
+
+    try {
+      const adapter =
+        anchor.chain === this.adapter.name ? this.adapter : createChainAdapter(anchor.chain);
+      const check = await adapter.verifyRoot({
+        txHash: certificate.blockchainTxHash,
+        root: anchor.merkleRoot,
+      });
+
+      result.onChain = check.verified;
+      if (!check.verified) result.reason = check.reason;
+    } catch (error) {
+      result.onChain = null;
+      result.reason = `Could not reach the chain: ${error.message}`;
+    }
+
+    return result;
+  }
+
+  // Get service status
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      enabled: this.enabled,
+      adapter: this.adapter.name,
+      schedule: this.schedule,
+      batchSize: this.batchSize,
+      lastRun: this.lastRun,
+      lastSummary: this.lastSummary,
+    };
+  }
+}
+
+module.exports = new AnchoringService();
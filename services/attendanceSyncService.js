@@ -0,0 +1,186 @@
+// services/attendanceSyncService.js
+const Event = require("../models/event");
+const { getTicketCode, verifyTicket } = require("../utils/ticket");
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Order of two scans of the same ticket: the earliest device timestamp wins,
+// ties are broken by device id and then record id. Because the order doesn't
+// depend on upload order, every device ends up agreeing on the same winner.
+const compareScans = (a, b) =>
+  new Date(a.checkedInAt) - new Date(b.checkedInAt) ||
+  (a.deviceId || "").localeCompare(b.deviceId || "") ||
+  (a.recordId || "").localeCompare(b.recordId || "");
+
+class AttendanceSyncService {
+  // Process a batch of offline scans from one device. Uploading the same
+  // batch again is safe and returns the same per-record results.
+  async syncBatch(eventId, { deviceId, rosterId, records, organizerId }) {
+    const event = await Event.findById(eventId).select("participants");
+    const now = Date.now();
+
+    const participants = new Set(event.participants.map((id) => id.toString()));
+    const studentsByCode = new Map(
+      event.participants.map((id) => [getTicketCode(eventId, id), id.toString()])
+    );
+
+    const results = new Array(records.length);
+    const scansByStudent = new Map();
+
+    records.forEach((record, index) => {
+      const recordId = record?.recordId ? record.recordId.toString() : null;
+      const reject = (message) => {
+        results[index] = { recordId, status: "rejected", message };
+      };
+
+      if (!recordId) return reject("recordId is required");
+
+      const scannedAt = new Date(record.scannedAt);
+      if (isNaN(scannedAt)) return reject("Invalid scannedAt timestamp");
+      if (scannedAt.getTime() > now + MAX_CLOCK_SKEW_MS) {
+        return reject("scannedAt is in the future");
+      }
+
+      let studentId;
+      if (record.token) {
+        try {
+          const ticket = verifyTicket(record.token);
+          if (ticket.eventId !== eventId.toString()) {
+            return reject("This ticket is for a different event");
+          }
+          studentId = ticket.studentId;
+        } catch (error) {
+          return reject("Invalid ticket");
+        }
+      } else if (record.code) {
+        studentId = studentsByCode.get(record.code.toString().trim().toUpperCase());
+        if (!studentId) return reject("Invalid ticket code");
+      } else {
+        return reject("Ticket token or code is required");
+      }
+
+      if (!participants.has(studentId)) {
+        return reject("This ticket holder is not enrolled in the event");
+      }
+
+      if (!scansByStudent.has(studentId)) scansByStudent.set(studentId, []);
+      scansByStudent.get(studentId).push({
+        index,
+        scan: { checkedInAt: scannedAt, deviceId, rosterId, recordId },
+      });
+    });
+
+    for (const [studentId, scans] of scansByStudent) {
+      scans.sort((a, b) => compareScans(a.scan, b.scan));
+
+      let winner;
+      try {
+        winner = await this.applyScan(eventId, studentId, scans[0].scan, organizerId);
+      } catch (error) {
+        scans.forEach(({ index, scan }) => {
+          results[index] = {
+            recordId: scan.recordId,
+            student: studentId,
+            status: "error",
+            message: error.message,
+          };
+        });
+        continue;
+      }
+
+      scans.forEach(({ index, scan }) => {
+        if (!winner) {
+          results[index] = {
+            recordId: scan.recordId,
+            status: "rejected",
+            message: "This ticket holder is not enrolled in the event",
+          };
+          return;
+        }
+
+        results[index] = {
+          recordId: scan.recordId,
+          student: studentId,
+          status: compareScans(scan, winner) === 0 ? "checked-in" : "duplicate",
+          checkedInAt: winner.checkedInAt,
+        };
+      });
+    }
+
+    return results;
+  }
+
+  // Store `scan` unless an earlier scan of the same ticket is already stored.
+  // Returns the attendance record that wins, or null if the student is no
+  // longer enrolled. Writes are conditional on what was read, and retried if
+  // another check-in got there first.
+  async applyScan(eventId, studentId, scan, organizerId) {
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      const event = await Event.findById(eventId).select("participants attendance");
+      const existing = event.getAttendanceRecord(studentId);
+
+      const fields = {
+        checkedInAt: scan.checkedInAt,
+        checkedInBy: organizerId,
+        method: "offline",
+        deviceId: scan.deviceId,
+        rosterId: scan.rosterId,
+        recordId: scan.recordId,
+        syncedAt: new Date(),
+      };
+
+      if (!existing) {
+        if (!event.participants.some((id) => id.equals(studentId))) {
+          return null;
+        }
+
+        const updated = await Event.findOneAndUpdate(
+          {
+            _id: eventId,
+            participants: studentId,
+            "attendance.student": { $ne: studentId },
+          },
+          {
+            $push: { attendance: { student: studentId, ...fields } },
+            $set: { attendanceChangedAt: new Date() },
+          },
+          { new: true }
+        );
+        if (updated) return updated.getAttendanceRecord(studentId);
+        continue;
+      }
+
+      // The stored check-in happened first (or is this very scan)
+      if (compareScans(existing, scan) <= 0) {
+        return existing;
+      }
+
+      const updated = await Event.findOneAndUpdate(
+        {
+          _id: eventId,
+          attendance: {
+            $elemMatch: { _id: existing._id, checkedInAt: existing.checkedInAt },
+          },
+        },
+        {
+          $set: {
+            "attendance.$.checkedInAt": fields.checkedInAt,
+            "attendance.$.checkedInBy": fields.checkedInBy,
+            "attendance.$.method": fields.method,
+            "attendance.$.deviceId": fields.deviceId,
+            "attendance.$.rosterId": fields.rosterId,
+            "attendance.$.recordId": fields.recordId,
+            "attendance.$.syncedAt": fields.syncedAt,
+          },
+        },
+        { new: true }
+      );
+      if (updated) return updated.getAttendanceRecord(studentId);
+    }
+
+    throw new Error("Attendance changed while syncing, please retry");
+  }
+}
+
+module.exports = new AttendanceSyncService();
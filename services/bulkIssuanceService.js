@@ -0,0 +1,493 @@
+// services/bulkIssuanceService.js
+const crypto = require("crypto");
+const os = require("os");
+const mongoose = require("mongoose");
+const Certificate = require("../models/certificate");
+const CertificateTemplate = require("../models/certificateTemplate");
+const Event = require("../models/event");
+const IssuanceJob = require("../models/issuanceJob");
+const Student = require("../models/student");
+const certificateStorageService = require("./certificateStorageService");
+const AppError = require("../utils/appError");
+const { parseCsvRecords, toCsv } = require("../utils/csv");
+const cron = require("node-cron");
+
+const MAX_ROWS = 5000;
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+// Persist progress every this many rows
+const PROGRESS_EVERY = 25;
+// How long a running job stays claimed without a progress save
+const LEASE_MS = 5 * 60 * 1000;
+
+// Accepted spellings for each CSV column
+const COLUMNS = {
+  email: ["email", "studentemail", "student_email"],
+  position: ["position", "winnerposition", "winner_position"],
+  certificateURL: ["certificate_url", "certificateurl", "url"],
+  template: ["template", "template_id", "templateid"],
+};
+
+const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+const urlRegex = /^https?:\/\/.+\..+/;
+
+const getPositionLabel = (position) =>
+  ["1st", "2nd", "3rd"][position - 1] || `${position}th`;
+
+const pickColumn = (headers, names) => names.find((name) => headers.includes(name));
+
+// CSV uploads of winners are checked as a whole (a dry-run) before anything
+// is issued, then issued row by row in the background so large events don't
+// hold a request open.
+class BulkIssuanceService {
+  constructor() {
+    this.isRunning = false;
+    this.checkInterval = process.env.BULK_ISSUANCE_CHECK_INTERVAL || "1"; // minutes
+    this.enabled = process.env.ENABLE_BULK_ISSUANCE !== "false";
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+    this.init();
+  }
+
+  init() {
+    if (!this.enabled) {
+      console.log("⏸️  Bulk certificate issuance is disabled");
+      return;
+    }
+
+    // Picks up committed jobs, including ones whose worker stopped
+    cron.schedule(`*/${this.checkInterval} * * * *`, () => {
+      this.processQueue();
+    });
+
+    console.log(
+      `📦 Bulk Issuance Service initialized - Checking for jobs every ${this.checkInterval} minutes`
+    );
+  }
+
+  // Build a winner certificate for one student. Used by both the JSON issue
+  // endpoint and bulk jobs.
+  async createWinnerCertificate(
+    event,
+    student,
+    { winnerPosition, certificateURL, template },
+    issuerId
+  ) {
+    const position = winnerPosition || 1;
+
+    const certificate = new Certificate({
+      event: event._id,
+      student: student._id,
+      studentEmail: student.email,
+      metaMaskAddress: student.metaMaskAddress,
+      eventName: event.title,
+      type: "winner",
+      winnerPosition: position,
+      certificateURL: certificateURL || undefined,
+      template: template || undefined,
+      issuer: issuerId,
+      metadata: {
+        issueDate: new Date(),
+        skills: event.category ? [event.category] : [],
+        description: `Awarded for ${getPositionLabel(position)} place in ${event.title}`,
+      },
+    });
+    await certificate.save();
+
+    certificateStorageService.store(certificate).catch((error) =>
+      console.error(`Failed to store file for ${certificate.certificateId}:`, error.message)
+    );
+
+    return certificate;
+  }
+
+  // Parse an uploaded CSV into row objects
+  parseUpload(buffer) {
+    let parsed;
+    try {
+      parsed = parseCsvRecords(buffer.toString("utf8"));
+    } catch (error) {
+      throw new AppError(`Could not parse CSV: ${error.message}`, 400);
+    }
+
+    const { headers, records } = parsed;
+    const columns = Object.fromEntries(
+      Object.entries(COLUMNS).map(([key, names]) => [key, pickColumn(headers, names)])
+    );
+
+    if (!columns.email || !columns.position) {
+      throw new AppError("CSV must have email and position columns", 400);
+    }
+    if (records.length === 0) {
+      throw new AppError("CSV has no rows", 400);
+    }
+    if (records.length > MAX_ROWS) {
+      throw new AppError(`CSV cannot have more than ${MAX_ROWS} rows`, 400);
+    }
+
+    return records.map((record, index) => ({
+      // Spreadsheet row number, counting the header
+      row: index + 2,
+      email: record[columns.email],
+      position: record[columns.position],
+      certificateURL: columns.certificateURL ? record[columns.certificateURL] : "",
+      template: columns.template ? record[columns.template] : "",
+    }));
+  }
+
+  // Check every row against the database in a handful of queries. Returns
+  // rows in IssuanceJob shape with status "valid" or "invalid".
+  async analyze(event, rows, issuer) {
+    const emails = [
+      ...new Set(rows.map((row) => row.email.toLowerCase()).filter(Boolean)),
+    ];
+    const templateIds = [
+      ...new Set(
+        rows.map((row) => row.template).filter((id) => mongoose.isValidObjectId(id))
+      ),
+    ];
+
+    const [students, templates] = await Promise.all([
+      Student.find({ email: { $in: emails } }).select(
+        "email metaMaskAddress walletVerified"
+      ),
+      CertificateTemplate.find({ _id: { $in: templateIds } }).select("organizer"),
+    ]);
+
+    const studentsByEmail = new Map(students.map((student) => [student.email, student]));
+    const usableTemplates = new Set(
+      templates
+        .filter(
+          (template) =>
+            template.organizer.equals(issuer._id) || issuer.role === "admin"
+        )
+        .map((template) => template._id.toString())
+    );
+
+    const existing = await Certificate.find({
+      event: event._id,
+      student: { $in: students.map((student) => student._id) },
+      type: { $ne: "participation" },
+    }).distinct("student");
+    const alreadyIssued = new Set(existing.map((id) => id.toString()));
+
+    const seen = new Set();
+
+    return rows.map((input) => {
+      const issues = [];
+      const email = input.email.toLowerCase();
+      const position = Number(input.position);
+
+      if (!email) {
+        issues.push({ code: "missing_email", message: "Email is required" });
+      } else if (!emailRegex.test(email)) {
+        issues.push({ code: "invalid_email", message: `Invalid email format: ${input.email}` });
+      }
+
+      if (!Number.isInteger(position) || position < 1) {
+        issues.push({
+          code: "invalid_position",
+          message: "Position must be a whole number of at least 1",
+        });
+      }
+
+      if (input.certificateURL && !urlRegex.test(input.certificateURL)) {
+        issues.push({ code: "invalid_url", message: "Invalid certificate URL format" });
+      }
+
+      if (input.template && !usableTemplates.has(input.template)) {
+        issues.push({ code: "unknown_template", message: "Template not found" });
+      }
+
+      if (input.certificateURL && input.template) {
+        issues.push({
+          code: "url_and_template",
+          message: "Give either a certificate URL or a template, not both",
+        });
+      }
+
+      if (email && seen.has(email)) {
+        issues.push({ code: "duplicate_in_file", message: "Email appears more than once" });
+      }
+      seen.add(email);
+
+      const student = studentsByEmail.get(email);
+      if (email && emailRegex.test(email)) {
+        if (!student) {
+          issues.push({ code: "unknown_email", message: "No student with this email" });
+        } else if (!student.metaMaskAddress || !student.walletVerified) {
+          issues.push({
+            code: "missing_wallet",
+            message: "Student does not have a verified MetaMask address linked",
+          });
+        } else if (alreadyIssued.has(student._id.toString())) {
+          issues.push({
+            code: "already_issued",
+            message: "Student already has a winner certificate for this event",
+          });
+        }
+      }
+
+      return {
+        row: input.row,
+        studentEmail: email || input.email,
+        winnerPosition: Number.isInteger(position) ? position : undefined,
+        certificateURL: input.certificateURL || undefined,
+        template: usableTemplates.has(input.template) ? input.template : undefined,
+        student: student?._id,
+        status: issues.length ? "invalid" : "valid",
+        issues,
+      };
+    });
+  }
+
+  summarize(rows) {
+    const invalid = rows.filter((row) => row.status === "invalid").length;
+    return {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+    };
+  }
+
+  // Dry-run an upload and keep it as a preview that can be committed
+  async createPreview(event, issuer, file) {
+    const rows = await this.analyze(event, this.parseUpload(file.buffer), issuer);
+
+    return IssuanceJob.create({
+      event: event._id,
+      createdBy: issuer._id,
+      fileName: file.originalname,
+      rows,
+      summary: this.summarize(rows),
+      expiresAt: new Date(Date.now() + PREVIEW_TTL_MS),
+    });
+  }
+
+  // Re-check a preview (things may have changed since the dry-run) and queue
+  // it. Returns the updated job, or the re-analyzed job still in preview if it
+  // has invalid rows and `skipInvalid` isn't set.
+  async commit(job, event, issuer, { skipInvalid = false } = {}) {
+    const rows = await this.analyze(
+      event,
+      job.rows.map((row) => ({
+        row: row.row,
+        email: row.studentEmail || "",
+        position: row.winnerPosition ? String(row.winnerPosition) : "",
+        certificateURL: row.certificateURL || "",
+        template: row.template ? row.template.toString() : "",
+      })),
+      issuer
+    );
+    const summary = this.summarize(rows);
+
+    if (summary.invalid > 0 && !skipInvalid) {
+      job.rows = rows;
+      job.summary = summary;
+      await job.save();
+      return { job, queued: false };
+    }
+
+    const queued = await IssuanceJob.findOneAndUpdate(
+      { _id: job._id, status: "preview" },
+      {
+        $set: {
+          rows: rows.map((row) =>
+            row.status === "invalid" ? { ...row, status: "skipped" } : row
+          ),
+          summary,
+          status: "queued",
+          committedAt: new Date(),
+        },
+        $unset: { expiresAt: 1 },
+      },
+      { new: true }
+    );
+
+    if (queued) {
+      setImmediate(() => this.processQueue());
+    }
+
+    return { job: queued, queued: !!queued };
+  }
+
+  async processQueue() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNextJob())) {
+        try {
+          await this.runJob(job);
+        } catch (error) {
+          if (error.leaseLost) {
+            console.warn(`Bulk issuance job ${job._id} was taken over by another worker`);
+            continue;
+          }
+          console.error(`❌ Bulk issuance job ${job._id} failed:`, error);
+          await IssuanceJob.updateOne(
+            { _id: job._id, "lease.owner": this.workerId },
+            {
+              $set: { status: "failed", lastError: error.message, finishedAt: new Date() },
+              $unset: { lease: 1 },
+            }
+          );
+        }
+      }
+    } catch (error) {
+      console.error("❌ Error in bulk issuance run:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Claim a queued job, or a running one whose worker's lease has expired
+  async claimNextJob() {
+    const now = new Date();
+
+    return IssuanceJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued" },
+          { status: "running", "lease.expiresAt": { $not: { $gt: now } } },
+        ],
+      },
+      {
+        $set: {
+          status: "running",
+          lease: { owner: this.workerId, expiresAt: new Date(now.getTime() + LEASE_MS) },
+        },
+        $min: { startedAt: now },
+      },
+      { sort: { committedAt: 1 }, new: true }
+    );
+  }
+
+  // Issue every valid row that hasn't been handled yet, so an interrupted job
+  // resumes where it stopped
+  async runJob(job) {
+    const event = await Event.findById(job.event)
+      .select("title category status")
+      .lean();
+
+    if (!event || event.status !== "completed") {
+      throw new Error("Event no longer exists or is not completed");
+    }
+
+    const pending = job.rows.filter((row) => row.status === "valid");
+    const students = await Student.find({
+      _id: { $in: pending.map((row) => row.student) },
+    }).select("email metaMaskAddress walletVerified");
+    const studentsById = new Map(students.map((student) => [student._id.toString(), student]));
+
+    let savedAt = Date.now();
+
+    for (const [index, row] of pending.entries()) {
+      const student = studentsById.get(row.student?.toString());
+
+      try {
+        if (!student?.metaMaskAddress || !student.walletVerified) {
+          throw new Error("Student no longer has a verified MetaMask address");
+        }
+
+        const certificate = await this.createWinnerCertificate(
+          event,
+          student,
+          row,
+          job.createdBy
+        );
+        row.status = "issued";
+        row.certificateId = certificate.certificateId;
+      } catch (error) {
+        // The unique index also catches a job interrupted after a certificate
+        // was saved but before the row was marked
+        if (error.code === 11000) {
+          const existing = await Certificate.findOne({
+            event: event._id,
+            student: student._id,
+            type: "winner",
+          }).select("certificateId");
+
+          row.status = "skipped";
+          row.certificateId = existing?.certificateId;
+          row.issues.push({
+            code: "already_issued",
+            message: "Student already has a winner certificate for this event",
+          });
+        } else {
+          row.status = "failed";
+          row.issues.push({ code: "issue_failed", message: error.message });
+        }
+      }
+
+      if ((index + 1) % PROGRESS_EVERY === 0 || Date.now() - savedAt > LEASE_MS / 3) {
+        await this.saveProgress(job);
+        savedAt = Date.now();
+      }
+    }
+
+    job.status = "completed";
+    job.finishedAt = new Date();
+    await this.saveProgress(job);
+  }
+
+  // Save the job and renew its lease. Throws (with `leaseLost`) if another
+  // worker has taken the job over, so this one stops writing to it.
+  async saveProgress(job) {
+    job.progress = {
+      processed: job.rows.filter((row) =>
+        ["issued", "failed", "skipped"].includes(row.status)
+      ).length,
+      issued: job.rows.filter((row) => row.status === "issued").length,
+      failed: job.rows.filter((row) => row.status === "failed").length,
+    };
+
+    const finished = job.status !== "running";
+    const { matchedCount } = await IssuanceJob.updateOne(
+      { _id: job._id, "lease.owner": this.workerId },
+      {
+        $set: {
+          rows: job.rows,
+          progress: job.progress,
+          status: job.status,
+          ...(finished
+            ? { finishedAt: job.finishedAt }
+            : { "lease.expiresAt": new Date(Date.now() + LEASE_MS) }),
+        },
+        ...(finished ? { $unset: { lease: 1 } } : {}),
+      }
+    );
+
+    if (!matchedCount) {
+      const error = new Error("Lease on bulk issuance job was lost");
+      error.leaseLost = true;
+      throw error;
+    }
+  }
+
+  // Per-row outcome as CSV
+  buildResultCsv(job) {
+    return toCsv(
+      ["row", "email", "position", "status", "certificate_id", "issues"],
+      job.rows.map((row) => ({
+        row: row.row,
+        email: row.studentEmail,
+        position: row.winnerPosition,
+        status: row.status,
+        certificate_id: row.certificateId,
+        issues: row.issues.map((issue) => issue.message).join("; "),
+      }))
+    );
+  }
+
+  // Get service status
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      enabled: this.enabled,
+      checkInterval: `${this.checkInterval} minutes`,
+    };
+  }
+}
+
+module.exports = new BulkIssuanceService();
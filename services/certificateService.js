@@ -0,0 +1,155 @@
+// services/certificateService.js
+const Certificate = require("../models/certificate");
+const Event = require("../models/event");
+const Student = require("../models/student");
+const cron = require("node-cron");
+
+class CertificateService {
+  constructor() {
+    this.isRunning = false;
+    this.checkInterval = process.env.CERTIFICATE_CHECK_INTERVAL || "10"; // minutes
+    this.enabled = process.env.ENABLE_AUTO_CERTIFICATES !== "false";
+    this.init();
+  }
+
+  init() {
+    if (!this.enabled) {
+      console.log("⏸️  Automatic participation certificates are disabled");
+      return;
+    }
+
+    cron.schedule(`*/${this.checkInterval} * * * *`, () => {
+      this.processCompletedEvents();
+    });
+
+    console.log(
+      `📜 Certificate Service initialized - Checking completed events every ${this.checkInterval} minutes`
+    );
+  }
+
+  // Issue participation certificates for completed events that haven't had
+  // them issued yet, or whose attendance changed since
+  async processCompletedEvents() {
+    if (this.isRunning) {
+      console.log("⏳ Certificate issuance already in progress...");
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const events = await Event.find({
+        status: "completed",
+        approvalStatus: "published",
+        digitalCertificates: true,
+        $or: [
+          { certificatesIssuedAt: null },
+          { $expr: { $gt: ["$attendanceChangedAt", "$certificatesIssuedAt"] } },
+        ],
+      }).select("_id");
+
+      for (const { _id } of events) {
+        try {
+          const { issued, skipped } = await this.issueParticipationCertificates(_id);
+          console.log(`📜 Issued ${issued.length} participation certificates for event ${_id}`);
+          if (skipped.length) {
+            console.warn(
+              `⚠️  ${skipped.length} participation certificates for event ${_id} failed and will be retried`
+            );
+          }
+        } catch (error) {
+          console.error(`❌ Failed to issue certificates for event ${_id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error("❌ Error in participation certificate run:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Issue a participation certificate to everyone eligible for a completed,
+  // published event. Safe to call repeatedly: students who already hold one
+  // are skipped, so late check-ins and earlier failures are picked up by
+  // running it again.
+  async issueParticipationCertificates(eventId) {
+    // Check-ins after this point are picked up by the next run
+    const startedAt = new Date();
+    const event = await Event.findById(eventId).select(
+      "title category organizer status approvalStatus digitalCertificates certificateAudience participants attendance"
+    );
+
+    if (
+      !event ||
+      event.status !== "completed" ||
+      event.approvalStatus !== "published" ||
+      !event.digitalCertificates
+    ) {
+      return { issued: [], skipped: [] };
+    }
+
+    const recipientIds =
+      event.certificateAudience === "attendees"
+        ? event.attendance.map((record) => record.student)
+        : event.participants;
+
+    const existing = await Certificate.find({
+      event: event._id,
+      type: "participation",
+    }).distinct("student");
+    const alreadyIssued = new Set(existing.map((id) => id.toString()));
+
+    const students = await Student.find({
+      _id: { $in: recipientIds.filter((id) => !alreadyIssued.has(id.toString())) },
+    }).select("email metaMaskAddress walletVerified");
+
+    const issued = [];
+    const skipped = [];
+
+    for (const student of students) {
+      try {
+        const certificate = await Certificate.create({
+          event: event._id,
+          student: student._id,
+          studentEmail: student.email,
+          // Only bind the certificate to a wallet the student has proven
+          metaMaskAddress: student.walletVerified ? student.metaMaskAddress : undefined,
+          eventName: event.title,
+          type: "participation",
+          issuer: event.organizer,
+          metadata: {
+            issueDate: new Date(),
+            skills: event.category ? [event.category] : [],
+            description: `Awarded for participating in ${event.title}`,
+          },
+        });
+        issued.push(certificate);
+      } catch (error) {
+        // Another run issued it first
+        if (error.code === 11000) continue;
+        skipped.push({ student: student._id, reason: error.message });
+      }
+    }
+
+    // Left as is while some failed, so the scheduled run retries them
+    if (skipped.length === 0) {
+      await Event.updateOne(
+        { _id: event._id },
+        { $set: { certificatesIssuedAt: startedAt } }
+      );
+    }
+
+    return { issued, skipped };
+  }
+
+  // Get service status
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      enabled: this.enabled,
+      checkInterval: `${this.checkInterval} minutes`,
+    };
+  }
+}
+
+module.exports = new CertificateService();
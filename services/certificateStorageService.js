@@ -0,0 +1,386 @@
+// services/certificateStorageService.js
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const Certificate = require("../models/certificate");
+const CertificateTemplate = require("../models/certificateTemplate");
+const Event = require("../models/event");
+const { createStorageBackend } = require("./storageBackends");
+const { computeCid } = require("../utils/cid");
+const { DEFAULT_TEMPLATE, renderCertificatePdf } = require("../utils/certificatePdf");
+const cron = require("node-cron");
+
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_REDIRECTS = 3;
+const SOURCE_CHECK_BATCH = 20;
+
+// Addresses an organizer-supplied URL must not reach
+const privateRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, "ipv6"));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs
+// write them) are checked as the IPv4 address they reach
+const toIPv4IfMapped = (address) => {
+  const mapped = /^::ffff:(.+)$/i.exec(address);
+  if (!mapped) return address;
+  if (net.isIPv4(mapped[1])) return mapped[1];
+
+  const hex = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(mapped[1]);
+  if (!hex) return address;
+  const value = (parseInt(hex[1], 16) << 16) | parseInt(hex[2], 16);
+  return [24, 16, 8, 0].map((shift) => (value >>> shift) & 255).join(".");
+};
+
+const isPrivateAddress = (address) => {
+  const normalized = toIPv4IfMapped(address);
+  const family = net.isIPv4(normalized) ? "ipv4" : "ipv6";
+  return privateRanges.check(normalized, family);
+};
+
+// DNS lookup for outgoing connections that refuses private addresses. The
+// connection goes to the address checked here, so a host can't resolve to a
+// public address for the check and a private one for the request.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error("Certificate URL points to a private address"));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agents = {
+  "http:": new http.Agent({ lookup: publicLookup }),
+  "https:": new https.Agent({ lookup: publicLookup }),
+};
+
+// Checked for every redirect hop. Hostnames are checked when connecting
+// (see publicLookup); IP literals never go through a lookup, so here.
+const assertPublicUrl = (url) => {
+  if (!agents[url.protocol]) {
+    throw new Error("Certificate URL must use http or https");
+  }
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error("Certificate URL points to a private address");
+  }
+};
+
+// A single GET, without following redirects
+const requestOnce = (url) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.get(
+      url,
+      { agent: agents[url.protocol], signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) },
+      (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          return resolve({ redirect: headers.location });
+        }
+
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          return reject(new Error(`Fetching certificate file failed: HTTP ${statusCode}`));
+        }
+
+        if (Number(headers["content-length"]) > MAX_FILE_BYTES) {
+          response.destroy();
+          return reject(new Error("Certificate file is too large"));
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > MAX_FILE_BYTES) {
+            response.destroy();
+            return reject(new Error("Certificate file is too large"));
+          }
+          chunks.push(chunk);
+        });
+        response.on("end", () =>
+          resolve({
+            data: Buffer.concat(chunks),
+            contentType: headers["content-type"] || "application/octet-stream",
+          })
+        );
+        response.on("error", reject);
+      }
+    );
+    request.on("error", reject);
+  });
+
+// Issued certificate files are snapshotted once, addressed by CID, and kept in
+// the configured storage backend, so later changes to an external URL or to
+// the event's template can be detected instead of silently changing what the
+// certificate shows.
+class CertificateStorageService {
+  constructor() {
+    this.isRunning = false;
+    this.checkInterval = process.env.CERTIFICATE_STORAGE_INTERVAL || "10"; // minutes
+    this.sourceCheckHours = parseFloat(process.env.CERTIFICATE_SOURCE_CHECK_HOURS) || 24;
+    this.enabled = process.env.ENABLE_CERTIFICATE_STORAGE !== "false";
+    this.backend = createStorageBackend();
+    this.init();
+  }
+
+  init() {
+    if (!this.enabled) {
+      console.log("⏸️  Certificate file storage is disabled");
+      return;
+    }
+
+    cron.schedule(`*/${this.checkInterval} * * * *`, () => {
+      this.storePending();
+    });
+
+    console.log(
+      `🗄️  Certificate Storage Service initialized - ${this.backend.name} backend`
+    );
+  }
+
+  async fetchExternalFile(address) {
+    let url = new URL(address);
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      assertPublicUrl(url);
+
+      const { redirect, data, contentType } = await requestOnce(url);
+      if (!redirect) {
+        return { data, contentType };
+      }
+
+      url = new URL(redirect, url);
+    }
+
+    throw new Error("Too many redirects fetching certificate file");
+  }
+
+  // Render a certificate with its own template, or else its event's
+  async renderPdf(certificate) {
+    await certificate.populate("student", "name");
+
+    const template = certificate.template
+      ? await CertificateTemplate.findById(certificate.template)
+      : null;
+
+    const event = template
+      ? null
+      : await Event.findById(certificate.event)
+          .select("certificateTemplate")
+          .populate("certificateTemplate");
+
+    return renderCertificatePdf(
+      certificate,
+      template || event?.certificateTemplate || DEFAULT_TEMPLATE
+    );
+  }
+
+  // The certificate's file as it is now: the external URL if it has one,
+  // otherwise a fresh render
+  async loadSourceFile(certificate) {
+    if (certificate.certificateURL) {
+      return { ...(await this.fetchExternalFile(certificate.certificateURL)), source: "url" };
+    }
+
+    return {
+      data: await this.renderPdf(certificate),
+      contentType: "application/pdf",
+      source: "rendered",
+    };
+  }
+
+  // Snapshot a certificate's file into storage and record its CID
+  async store(certificate) {
+    if (certificate.ipfsHash) return certificate.ipfsHash;
+
+    const { data, contentType, source } = await this.loadSourceFile(certificate);
+    const cid = computeCid(data);
+
+    await this.backend.put(cid, data);
+
+    await Certificate.updateOne(
+      { _id: certificate._id, ipfsHash: null },
+      {
+        $set: {
+          ipfsHash: cid,
+          file: {
+            source,
+            backend: this.backend.name,
+            contentType,
+            size: data.length,
+            storedAt: new Date(),
+          },
+        },
+      }
+    );
+
+    return cid;
+  }
+
+  async storePending() {
+    if (this.isRunning) {
+      console.log("⏳ Certificate storage already in progress...");
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const certificates = await Certificate.find({
+        ipfsHash: null,
+        status: { $ne: "revoked" },
+      })
+        .sort({ issuedAt: 1 })
+        .limit(50);
+
+      for (const certificate of certificates) {
+        try {
+          await this.store(certificate);
+        } catch (error) {
+          console.error(
+            `❌ Failed to store file for certificate ${certificate.certificateId}:`,
+            error.message
+          );
+        }
+      }
+
+      await this.checkSources();
+    } catch (error) {
+      console.error("❌ Error in certificate storage run:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Stored copy of a certificate's file, or null if there isn't one
+  async getStoredFile(certificate) {
+    if (!certificate.ipfsHash) return null;
+
+    const backend =
+      certificate.file?.backend && certificate.file.backend !== this.backend.name
+        ? createStorageBackend(certificate.file.backend)
+        : this.backend;
+
+    const data = await backend.get(certificate.ipfsHash);
+    if (!data) return null;
+
+    return {
+      data,
+      contentType: certificate.file?.contentType || "application/octet-stream",
+    };
+  }
+
+  // Compare external URLs with their recorded CID, oldest check first. This
+  // runs in the background so public verification never fetches the URL.
+  async checkSources() {
+    const staleBefore = new Date(Date.now() - this.sourceCheckHours * 60 * 60 * 1000);
+
+    const certificates = await Certificate.find({
+      ipfsHash: { $ne: null },
+      "file.source": "url",
+      status: { $ne: "revoked" },
+      $or: [
+        { "file.sourceCheck.checkedAt": null },
+        { "file.sourceCheck.checkedAt": { $lt: staleBefore } },
+      ],
+    })
+      .select("certificateId certificateURL ipfsHash")
+      .sort({ "file.sourceCheck.checkedAt": 1 })
+      .limit(SOURCE_CHECK_BATCH);
+
+    for (const certificate of certificates) {
+      const sourceCheck = { checkedAt: new Date(), matches: false };
+
+      try {
+        const { data } = await this.fetchExternalFile(certificate.certificateURL);
+        sourceCheck.matches = computeCid(data) === certificate.ipfsHash;
+        if (!sourceCheck.matches) {
+          sourceCheck.reason = "The file at the certificate URL has changed since issuance";
+        }
+      } catch (error) {
+        sourceCheck.reason = `Could not fetch the certificate URL: ${error.message}`;
+      }
+
+      await Certificate.updateOne(
+        { _id: certificate._id },
+        { $set: { "file.sourceCheck": sourceCheck } }
+      );
+    }
+  }
+
+  // Check the stored copy against the recorded CID. For external files the
+  // result of the last background check of the URL is included.
+  async verifyFile(certificate) {
+    if (!certificate.ipfsHash) {
+      return { stored: false };
+    }
+
+    const result = {
+      stored: true,
+      cid: certificate.ipfsHash,
+      backend: certificate.file?.backend,
+      source: certificate.file?.source,
+      storedCopyMatches: null,
+      sourceMatches: null,
+      sourceCheckedAt: null,
+    };
+
+    try {
+      const stored = await this.getStoredFile(certificate);
+      result.storedCopyMatches = stored ? computeCid(stored.data) === certificate.ipfsHash : false;
+      if (!stored) result.reason = "Stored copy is missing";
+    } catch (error) {
+      result.reason = `Could not read stored copy: ${error.message}`;
+    }
+
+    const sourceCheck = certificate.file?.sourceCheck;
+    if (certificate.file?.source === "url" && sourceCheck?.checkedAt) {
+      result.sourceMatches = sourceCheck.matches;
+      result.sourceCheckedAt = sourceCheck.checkedAt;
+      if (sourceCheck.reason && !result.reason) result.reason = sourceCheck.reason;
+    }
+
+    return result;
+  }
+
+  // Get service status
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      enabled: this.enabled,
+      backend: this.backend.name,
+      checkInterval: `${this.checkInterval} minutes`,
+      sourceCheckHours: this.sourceCheckHours,
+    };
+  }
+}
+
+module.exports = new CertificateStorageService();
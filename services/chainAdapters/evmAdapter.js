@@ -0,0 +1,117 @@
+// services/chainAdapters/evmAdapter.js
+
+// Anchors Merkle roots on an EVM chain over JSON-RPC. The root is sent as the
+// calldata of a plain transaction from an account the node holds the key for,
+// which is how Hardhat and Anvil dev accounts work out of the box.
+//
+// ANCHOR_RPC_URL        JSON-RPC endpoint (default http://127.0.0.1:8545)
+// ANCHOR_FROM_ADDRESS   sending account (default: the node's first account)
+// ANCHOR_TO_ADDRESS     recipient (default: the sending account itself)
+// ANCHOR_CONFIRMATIONS  blocks to wait before a batch counts as confirmed
+class EvmAdapter {
+  constructor(options = {}) {
+    this.name = "evm";
+    this.rpcUrl = options.rpcUrl || process.env.ANCHOR_RPC_URL || "http://127.0.0.1:8545";
+    this.from = options.from || process.env.ANCHOR_FROM_ADDRESS;
+    this.to = options.to || process.env.ANCHOR_TO_ADDRESS;
+    this.confirmations = parseInt(
+      options.confirmations || process.env.ANCHOR_CONFIRMATIONS || "1"
+    );
+    this.requestId = 0;
+  }
+
+  async rpc(method, params = []) {
+    const response = await fetch(this.rpcUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        jsonrpc: "2.0",
+        id: ++this.requestId,
+        method,
+        params,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`${method} failed: HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(`${method} failed: ${body.error.message}`);
+    }
+    return body.result;
+  }
+
+  async getSender() {
+    if (!this.from) {
+      const [account] = await this.rpc("eth_accounts");
+      if (!account) {
+        throw new Error("The node has no unlocked accounts; set ANCHOR_FROM_ADDRESS");
+      }
+      this.from = account;
+    }
+    return this.from;
+  }
+
+  async submitRoot(root) {
+    const from = await this.getSender();
+    const chainId = parseInt(await this.rpc("eth_chainId"), 16);
+
+    const txHash = await this.rpc("eth_sendTransaction", [
+      {
+        from,
+        to: this.to || from,
+        value: "0x0",
+        data: `0x${root}`,
+      },
+    ]);
+
+    return { txHash, chainId, confirmed: false };
+  }
+
+  async getConfirmation(txHash) {
+    const receipt = await this.rpc("eth_getTransactionReceipt", [txHash]);
+    if (!receipt || !receipt.blockNumber) {
+      return { status: "pending" };
+    }
+
+    if (receipt.status !== "0x1") {
+      return { status: "failed", error: "Anchor transaction reverted" };
+    }
+
+    const blockNumber = parseInt(receipt.blockNumber, 16);
+    const latest = parseInt(await this.rpc("eth_blockNumber"), 16);
+
+    if (latest - blockNumber + 1 < this.confirmations) {
+      return { status: "pending", blockNumber };
+    }
+    return { status: "confirmed", blockNumber };
+  }
+
+  // Check that `txHash` is a mined, successful transaction carrying `root`
+  async verifyRoot({ txHash, root }) {
+    const [tx, receipt] = await Promise.all([
+      this.rpc("eth_getTransactionByHash", [txHash]),
+      this.rpc("eth_getTransactionReceipt", [txHash]),
+    ]);
+
+    if (!tx || !receipt) {
+      return { verified: false, reason: "Transaction not found on chain" };
+    }
+    if (receipt.status !== "0x1") {
+      return { verified: false, reason: "Transaction failed on chain" };
+    }
+    if ((tx.input || tx.data || "").toLowerCase() !== `0x${root}`.toLowerCase()) {
+      return { verified: false, reason: "Transaction does not contain this Merkle root" };
+    }
+
+    return {
+      verified: true,
+      blockNumber: parseInt(receipt.blockNumber, 16),
+      from: tx.from,
+    };
+  }
+}
+
+module.exports = EvmAdapter;
@@ -0,0 +1,23 @@
+// services/chainAdapters/index.js
+const EvmAdapter = require("./evmAdapter");
+const NoopAdapter = require("./noopAdapter");
+
+const adapters = {
+  evm: EvmAdapter,
+  noop: NoopAdapter,
+};
+
+// Adapter selected by ANCHOR_ADAPTER (default "noop")
+const createChainAdapter = (name = process.env.ANCHOR_ADAPTER || "noop") => {
+  const Adapter = adapters[name];
+  if (!Adapter) {
+    throw new Error(
+      `Unknown chain adapter "${name}" (expected one of: ${Object.keys(adapters).join(", ")})`
+    );
+  }
+  return new Adapter();
+};
+
+module.exports = {
+  createChainAdapter,
+};
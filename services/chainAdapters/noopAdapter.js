@@ -0,0 +1,24 @@
+// services/chainAdapters/noopAdapter.js
+
+// Used when no chain is configured. Batches still get a Merkle root and every
+// certificate its proof, but nothing is submitted, so there is no tx hash and
+// nothing to verify on chain.
+class NoopAdapter {
+  constructor() {
+    this.name = "noop";
+  }
+
+  async submitRoot() {
+    return { txHash: null, chainId: null, confirmed: true };
+  }
+
+  async getConfirmation() {
+    return { status: "confirmed", blockNumber: null };
+  }
+
+  async verifyRoot() {
+    return { verified: false, reason: "Anchoring is not connected to a chain" };
+  }
+}
+
+module.exports = NoopAdapter;
@@ -0,0 +1,129 @@
+// services/enrollmentService.js
+const Event = require("../models/event");
+const Student = require("../models/student");
+const AppError = require("../utils/appError");
+const withTransaction = require("../utils/transaction");
+
+// Event.participants and Student.enrolledEvents are two copies of the same
+// relationship. Every change goes through a single transaction that writes
+// both, and capacity is checked by the conditional update that takes the seat.
+class EnrollmentService {
+  // Add a student to an event. A student holding an unexpired waitlist offer
+  // claims the seat held for them; anyone else needs a free seat.
+  async enroll(eventId, studentId) {
+    return withTransaction(async (session) => {
+      const now = new Date();
+
+      const event = await Event.findOneAndUpdate(
+        {
+          _id: eventId,
+          approvalStatus: "published",
+          participants: { $ne: studentId },
+          $or: [
+            {
+              waitlist: {
+                $elemMatch: { student: studentId, offerExpiresAt: { $gt: now } },
+              },
+              $expr: { $lt: [{ $size: "$participants" }, "$maxParticipants"] },
+            },
+            { $expr: Event.openSeatCondition(now) },
+          ],
+        },
+        {
+          $push: { participants: studentId },
+          $pull: { waitlist: { student: studentId } },
+        },
+        { new: true, session }
+      );
+
+      if (!event) {
+        const current = await Event.findById(eventId)
+          .select("participants approvalStatus")
+          .session(session);
+
+        if (!current) {
+          throw new AppError("Event not found", 404);
+        }
+        if (current.approvalStatus !== "published") {
+          throw new AppError("This event is not open for registration yet", 400);
+        }
+        if (current.participants.some((id) => id.equals(studentId))) {
+          throw new AppError("Student is already enrolled in this event", 400);
+        }
+        throw new AppError(
+          "Event has reached maximum capacity. You can join the waitlist instead.",
+          400
+        );
+      }
+
+      const result = await Student.updateOne(
+        { _id: studentId, active: { $ne: false } },
+        { $addToSet: { enrolledEvents: event._id } },
+        { session }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new AppError("Student not found", 404);
+      }
+
+      return event;
+    });
+  }
+
+  // Remove a student from an event (and from any agenda sessions they picked)
+  async unenroll(eventId, studentId) {
+    return withTransaction(async (session) => {
+      let event = await Event.findOneAndUpdate(
+        { _id: eventId, participants: studentId },
+        { $pull: { participants: studentId } },
+        { new: true, session }
+      );
+
+      if (!event) {
+        throw new AppError("Student is not enrolled in this event", 400);
+      }
+
+      // $[] fails on events created before the agenda existed, so only touch
+      // events that actually have sessions
+      if (event.sessions.length > 0) {
+        event = await Event.findOneAndUpdate(
+          { _id: event._id },
+          { $pull: { "sessions.$[].attendees": studentId } },
+          { new: true, session }
+        );
+      }
+
+      await Student.updateOne(
+        { _id: studentId },
+        { $pull: { enrolledEvents: event._id } },
+        { session }
+      );
+
+      return event;
+    });
+  }
+
+  // Delete an organizer's event and every student's link to it
+  async deleteEvent(eventId, organizerId) {
+    return withTransaction(async (session) => {
+      const event = await Event.findOneAndDelete(
+        { _id: eventId, organizer: organizerId },
+        { session }
+      );
+
+      if (!event) {
+        return null;
+      }
+
+      await Student.updateMany(
+        { enrolledEvents: event._id },
+        { $pull: { enrolledEvents: event._id } },
+        { session }
+      );
+
+      return event;
+    });
+  }
+}
+
+module.exports = new EnrollmentService();
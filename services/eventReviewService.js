@@ -0,0 +1,166 @@
+// services/eventReviewService.js
+const Event = require("../models/event");
+const Student = require("../models/student");
+const AppError = require("../utils/appError");
+const sendEmail = require("../utils/emailSender");
+const escapeHtml = require("../utils/escapeHtml");
+
+// Events are reviewed by an admin before they go public. Occurrences of a
+// recurring series are submitted and reviewed together.
+class EventReviewService {
+  // Events that move together with `event`: the whole series, or just itself
+  scopeFilter(event, approvalStatus) {
+    return event.series
+      ? { series: event.series, approvalStatus: { $in: approvalStatus } }
+      : { _id: event._id, approvalStatus: { $in: approvalStatus } };
+  }
+
+  // Send a draft (or a rejected event after changes) for review
+  async submit(event, organizerId) {
+    if (!["draft", "rejected"].includes(event.approvalStatus)) {
+      throw new AppError(
+        event.approvalStatus === "pending"
+          ? "This event is already waiting for review"
+          : "This event is already published",
+        400
+      );
+    }
+
+    const now = new Date();
+    const result = await Event.updateMany(
+      this.scopeFilter(event, ["draft", "rejected"]),
+      {
+        $set: { approvalStatus: "pending", submittedAt: now },
+        $push: { reviews: { action: "submitted", by: organizerId, at: now } },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new AppError("This event was already submitted", 409);
+    }
+
+    return Event.findById(event._id);
+  }
+
+  // Events created before review existed have no approvalStatus (and would
+  // read as "draft"); they were public, so they stay published. Run once the
+  // database is connected; a no-op after the first time.
+  async publishLegacyEvents() {
+    const result = await Event.updateMany(
+      { approvalStatus: { $exists: false } },
+      { $set: { approvalStatus: "published" } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`📢 Published ${result.modifiedCount} events created before review`);
+    }
+  }
+
+  // Content edits to a published event take it out of public view until an
+  // admin has seen them. Returns how many events went back to review.
+  async reopenForReview(filter, organizerId, changedFields = []) {
+    const now = new Date();
+    const result = await Event.updateMany(
+      { ...filter, approvalStatus: "published" },
+      {
+        $set: { approvalStatus: "pending", submittedAt: now },
+        $push: {
+          reviews: {
+            action: "reopened",
+            comment: changedFields.length
+              ? `Edited after publication: ${changedFields.join(", ")}`
+              : "Edited after publication",
+            by: organizerId,
+            at: now,
+          },
+        },
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  // Approve or reject a pending event. `decision` is "approve" or "reject".
+  async review(event, reviewerId, { decision, comment, requiredChanges = [] }) {
+    if (!["approve", "reject"].includes(decision)) {
+      throw new AppError('Decision must be "approve" or "reject"', 400);
+    }
+
+    if (decision === "reject" && !comment && requiredChanges.length === 0) {
+      throw new AppError("Explain the rejection with a comment or required changes", 400);
+    }
+
+    const now = new Date();
+    const approved = decision === "approve";
+    const update = {
+      $set: { approvalStatus: approved ? "published" : "rejected" },
+      $push: {
+        reviews: {
+          action: approved ? "approved" : "rejected",
+          comment,
+          requiredChanges,
+          by: reviewerId,
+          at: now,
+        },
+      },
+    };
+    if (approved) update.$set.publishedAt = now;
+
+    const result = await Event.updateMany(this.scopeFilter(event, ["pending"]), update, {
+      runValidators: true,
+    });
+
+    if (result.modifiedCount === 0) {
+      throw new AppError("This event is not waiting for review", 409);
+    }
+
+    const reviewed = await Event.findById(event._id);
+
+    this.notifyOrganizer(reviewed).catch((error) =>
+      console.error(`Failed to send review email for event ${event._id}:`, error.message)
+    );
+
+    return reviewed;
+  }
+
+  async notifyOrganizer(event) {
+    const organizer = await Student.findById(event.organizer).select("name email");
+    if (!organizer?.email) return;
+
+    const review = event.reviews[event.reviews.length - 1];
+    const approved = event.approvalStatus === "published";
+    const eventURL = `${process.env.ZOHO_FRONTEND_URL}/events/${event._id}`;
+    const changes = review.requiredChanges || [];
+
+    const headline = (title) =>
+      approved
+        ? `Your event "${title}" has been approved and is now public.`
+        : `Your event "${title}" was not approved yet.`;
+
+    await sendEmail({
+      to: organizer.email,
+      subject: approved
+        ? `✅ Event approved: ${event.title} - UniEvent Hub`
+        : `✏️ Changes needed: ${event.title} - UniEvent Hub`,
+      text: `Hello ${organizer.name || "there"},
+
+${headline(event.title)}
+${review.comment ? `\nReviewer comment:\n${review.comment}\n` : ""}${
+        changes.length ? `\nRequired changes:\n${changes.map((c) => `- ${c}`).join("\n")}\n` : ""
+      }${approved ? "" : "\nMake the changes and submit the event for review again.\n"}
+${eventURL}
+
+Best regards,
+The UniEvent Hub Team`,
+      html: `
+<p>Hello ${escapeHtml(organizer.name || "there")},</p>
+<p>${headline(escapeHtml(event.title))}</p>
+${review.comment ? `<p><strong>Reviewer comment:</strong><br>${escapeHtml(review.comment)}</p>` : ""}
+${changes.length ? `<p><strong>Required changes:</strong></p><ul>${changes.map((c) => `<li>${escapeHtml(c)}</li>`).join("")}</ul>` : ""}
+${approved ? "" : "<p>Make the changes and submit the event for review again.</p>"}
+<p><a href="${eventURL}">${eventURL}</a></p>
+<p>Best regards,<br><strong>The UniEvent Hub Team</strong></p>
+      `,
+    });
+  }
+}
+
+module.exports = new EventReviewService();
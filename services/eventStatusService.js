@@ -49,15 +49,15 @@ class EventStatusService {
 
       let updatedCount = 0;
 
-      // Update ongoing events (events that started in last 30 minutes and are still active)
-      const ongoingThreshold = new Date(now.getTime() - 30 * 60 * 1000); // 30 minutes ago
+      // Events without an endDate fall back to the default duration
+      const endDate = Event.endDateExpression();
+
+      // Update ongoing events (started and not yet ended)
       const ongoingResult = await Event.updateMany(
         {
           status: { $in: ["upcoming", "ongoing"] },
-          date: {
-            $lte: now,
-            $gte: ongoingThreshold,
-          },
+          date: { $lte: now },
+          $expr: { $gt: [endDate, now] },
         },
         {
           status: "ongoing",
@@ -67,12 +67,11 @@ class EventStatusService {
       updatedCount += ongoingResult.modifiedCount;
       console.log(`🟡 Marked ${ongoingResult.modifiedCount} events as ongoing`);
 
-      // Update completed events (events that ended more than 30 minutes ago)
-      const completedThreshold = new Date(now.getTime() - 30 * 60 * 1000); // 30 minutes past end
+      // Update completed events (events whose end has passed)
       const completedResult = await Event.updateMany(
         {
           status: { $in: ["upcoming", "ongoing"] },
-          date: { $lt: completedThreshold },
+          $expr: { $lte: [endDate, now] },
         },
         {
           status: "completed",
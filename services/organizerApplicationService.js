@@ -0,0 +1,122 @@
+// services/organizerApplicationService.js
+const OrganizerApplication = require("../models/organizerApplication");
+const Student = require("../models/student");
+const AppError = require("../utils/appError");
+const sendEmail = require("../utils/emailSender");
+const escapeHtml = require("../utils/escapeHtml");
+const withTransaction = require("../utils/transaction");
+
+// Participants apply to become organizers and an admin decides. The role only
+// changes on approval, in the same transaction that records the decision.
+class OrganizerApplicationService {
+  async apply(student, { clubName, justification }) {
+    if (student.role !== "participant") {
+      throw new AppError(`You are already an ${student.role}`, 400);
+    }
+
+    try {
+      return await OrganizerApplication.create({
+        student: student._id,
+        clubName,
+        justification,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError("You already have an application waiting for review", 409);
+      }
+      throw error;
+    }
+  }
+
+  // `decision` is "approve" or "reject"
+  async decide(applicationId, reviewerId, { decision, note }) {
+    if (!["approve", "reject"].includes(decision)) {
+      throw new AppError('Decision must be "approve" or "reject"', 400);
+    }
+
+    if (decision === "reject" && !note?.trim()) {
+      throw new AppError("A note is required when rejecting an application", 400);
+    }
+
+    const approved = decision === "approve";
+
+    const application = await withTransaction(async (session) => {
+      const pending = await OrganizerApplication.findOne({
+        _id: applicationId,
+        status: "pending",
+      }).session(session);
+
+      if (!pending) {
+        throw new AppError("No pending application found with that ID", 404);
+      }
+
+      const student = await Student.findById(pending.student)
+        .select("role")
+        .session(session);
+
+      if (!student) {
+        throw new AppError("The applicant's account no longer exists", 404);
+      }
+
+      // Only participants are upgraded; an admin keeps their role
+      if (approved && student.role === "participant") {
+        await Student.updateOne(
+          { _id: student._id, role: "participant" },
+          { $set: { role: "organizer" } },
+          { session }
+        );
+      }
+
+      pending.set({
+        status: approved ? "approved" : "rejected",
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        decisionNote: note,
+        previousRole: student.role,
+        grantedRole: approved && student.role === "participant" ? "organizer" : student.role,
+      });
+      return pending.save({ session });
+    });
+
+    this.notifyApplicant(application).catch((error) =>
+      console.error(
+        `Failed to send organizer application email for ${application._id}:`,
+        error.message
+      )
+    );
+
+    return application;
+  }
+
+  async notifyApplicant(application) {
+    const student = await Student.findById(application.student).select("name email");
+    if (!student?.email) return;
+
+    const approved = application.status === "approved";
+    const headline = (clubName) =>
+      approved
+        ? `Your application to organize events for ${clubName} has been approved. You can now create events.`
+        : `Your application to organize events for ${clubName} was not approved.`;
+
+    await sendEmail({
+      to: student.email,
+      subject: approved
+        ? "✅ You're now an organizer - UniEvent Hub"
+        : "Your organizer application - UniEvent Hub",
+      text: `Hello ${student.name || "there"},
+
+${headline(application.clubName)}
+${application.decisionNote ? `\nNote from the reviewer:\n${application.decisionNote}\n` : ""}
+Best regards,
+The UniEvent Hub Team`,
+      html: `
+<p>Hello ${escapeHtml(student.name || "there")},</p>
+<p>${headline(escapeHtml(application.clubName))}</p>
+${application.decisionNote ? `<p><strong>Note from the reviewer:</strong><br>${escapeHtml(application.decisionNote)}</p>` : ""}
+<p>Best regards,<br><strong>The UniEvent Hub Team</strong></p>
+      `,
+    });
+  }
+}
+
+module.exports = new OrganizerApplicationService();
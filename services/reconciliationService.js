@@ -0,0 +1,382 @@
+// services/reconciliationService.js
+const Event = require("../models/event");
+const Student = require("../models/student");
+const AppError = require("../utils/appError");
+const withTransaction = require("../utils/transaction");
+const waitlistService = require("./waitlistService");
+const cron = require("node-cron");
+
+// Event.participants and Student.enrolledEvents describe the same
+// relationship. Event.participants is treated as the source of truth: it is
+// the side capacity is enforced on, and the side the old two-step writes
+// updated first.
+class ReconciliationService {
+  constructor() {
+    this.isRunning = false;
+    this.schedule = process.env.RECONCILIATION_SCHEDULE || "0 3 * * *"; // daily at 03:00
+    this.enabled = process.env.ENABLE_RECONCILIATION !== "false";
+    // Scheduled runs only report until an operator turns fixing on
+    this.autoFix = process.env.RECONCILIATION_AUTO_FIX === "true";
+    this.lastRun = null;
+    this.lastSummary = null;
+    this.init();
+  }
+
+  init() {
+    if (!this.enabled) {
+      console.log("⏸️  Enrollment reconciliation is disabled");
+      return;
+    }
+
+    cron.schedule(this.schedule, () => {
+      this.runScheduled();
+    });
+
+    console.log(
+      `🧮 Reconciliation Service initialized - Schedule "${this.schedule}" (auto-fix ${this.autoFix ? "on" : "off"})`
+    );
+  }
+
+  async runScheduled() {
+    if (this.isRunning) {
+      console.log("⏳ Reconciliation already in progress...");
+      return;
+    }
+
+    try {
+      const result = await this.run({ apply: this.autoFix });
+      console.log("🧮 Reconciliation finished:", result.report.summary);
+      if (result.applied) {
+        console.log("🛠️  Reconciliation fixes applied:", result.applied);
+      }
+    } catch (error) {
+      console.error("❌ Error in scheduled reconciliation:", error);
+    }
+  }
+
+  // Build the report and, when `apply` is set, fix everything fixable
+  async run({ apply = false } = {}) {
+    if (this.isRunning) {
+      throw new AppError("Reconciliation already in progress", 409);
+    }
+
+    this.isRunning = true;
+
+    try {
+      const report = await this.buildReport();
+      const applied = apply ? await this.applyFixes(report) : null;
+
+      this.lastRun = new Date();
+      this.lastSummary = report.summary;
+
+      return { report, applied };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async buildReport() {
+    const [participantIssues, enrollmentIssues, staleWaitlistEntries, overCapacity] =
+      await Promise.all([
+        this.findParticipantIssues(),
+        this.findEnrollmentIssues(),
+        this.findStaleWaitlistEntries(),
+        this.findOverCapacityEvents(),
+      ]);
+
+    const issues = {
+      // Participant whose Student record is missing the event → add it
+      missingEnrollments: participantIssues.filter(
+        (item) => !item.missing && !item.inactive && !item.linked
+      ),
+      // Participant pointing at a Student that no longer exists → remove
+      danglingParticipants: participantIssues.filter((item) => item.missing),
+      // Soft-deleted student still holding a seat in an upcoming event → remove
+      inactiveParticipants: participantIssues.filter(
+        (item) => item.inactive && item.status === "upcoming"
+      ),
+      // enrolledEvents entry the event doesn't list back → remove
+      orphanedEnrollments: enrollmentIssues.filter((item) => !item.missing),
+      // enrolledEvents entry pointing at a deleted event → remove
+      danglingEnrollments: enrollmentIssues.filter((item) => item.missing),
+      // Waitlist entry for a missing or soft-deleted student → remove
+      staleWaitlistEntries,
+      // More participants than seats - reported only, needs an organizer
+      overCapacityEvents: overCapacity,
+    };
+
+    const summary = {};
+    Object.keys(issues).forEach((key) => {
+      summary[key] = issues[key].length;
+    });
+
+    return {
+      generatedAt: new Date(),
+      summary,
+      issues,
+    };
+  }
+
+  findParticipantIssues() {
+    return Event.aggregate([
+      { $project: { title: 1, status: 1, participants: 1 } },
+      { $unwind: "$participants" },
+      {
+        $lookup: {
+          from: "students",
+          localField: "participants",
+          foreignField: "_id",
+          as: "studentDoc",
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          event: "$_id",
+          title: 1,
+          status: 1,
+          student: "$participants",
+          missing: { $eq: [{ $size: "$studentDoc" }, 0] },
+          inactive: {
+            $eq: [{ $arrayElemAt: ["$studentDoc.active", 0] }, false],
+          },
+          linked: {
+            $in: [
+              "$_id",
+              {
+                $ifNull: [{ $arrayElemAt: ["$studentDoc.enrolledEvents", 0] }, []],
+              },
+            ],
+          },
+        },
+      },
+      {
+        $match: {
+          $or: [{ missing: true }, { inactive: true }, { linked: false }],
+        },
+      },
+    ]);
+  }
+
+  findEnrollmentIssues() {
+    return Student.aggregate([
+      { $project: { email: 1, enrolledEvents: 1 } },
+      { $unwind: "$enrolledEvents" },
+      {
+        $lookup: {
+          from: "events",
+          localField: "enrolledEvents",
+          foreignField: "_id",
+          as: "eventDoc",
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          student: "$_id",
+          email: 1,
+          event: "$enrolledEvents",
+          missing: { $eq: [{ $size: "$eventDoc" }, 0] },
+          linked: {
+            $in: [
+              "$_id",
+              {
+                $ifNull: [{ $arrayElemAt: ["$eventDoc.participants", 0] }, []],
+              },
+            ],
+          },
+        },
+      },
+      { $match: { $or: [{ missing: true }, { linked: false }] } },
+    ]);
+  }
+
+  findStaleWaitlistEntries() {
+    return Event.aggregate([
+      { $match: { status: "upcoming", "waitlist.0": { $exists: true } } },
+      { $project: { title: 1, waitlist: 1 } },
+      { $unwind: "$waitlist" },
+      {
+        $lookup: {
+          from: "students",
+          localField: "waitlist.student",
+          foreignField: "_id",
+          as: "studentDoc",
+        },
+      },
+      {
+        $match: {
+          $or: [{ studentDoc: { $size: 0 } }, { "studentDoc.active": false }],
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          event: "$_id",
+          title: 1,
+          student: "$waitlist.student",
+        },
+      },
+    ]);
+  }
+
+  findOverCapacityEvents() {
+    return Event.aggregate([
+      {
+        $match: {
+          $expr: {
+            $gt: [{ $size: { $ifNull: ["$participants", []] } }, "$maxParticipants"],
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          event: "$_id",
+          title: 1,
+          status: 1,
+          maxParticipants: 1,
+          participantCount: { $size: "$participants" },
+        },
+      },
+    ]);
+  }
+
+  // Every fix re-checks its condition in the transaction that applies it, so
+  // anything that changed since the report was built is left alone.
+  async applyFixes(report) {
+    const { issues } = report;
+    const applied = {};
+    const freedSeats = new Set();
+
+    const apply = async (key, items, fix) => {
+      applied[key] = 0;
+      for (const item of items) {
+        try {
+          if (await fix(item)) applied[key]++;
+        } catch (error) {
+          console.error(`Reconciliation fix "${key}" failed:`, error.message);
+        }
+      }
+    };
+
+    await apply("missingEnrollments", issues.missingEnrollments, (item) =>
+      withTransaction(async (session) => {
+        const stillParticipant = await Event.exists({
+          _id: item.event,
+          participants: item.student,
+        }).session(session);
+        if (!stillParticipant) return false;
+
+        const result = await Student.updateOne(
+          { _id: item.student },
+          { $addToSet: { enrolledEvents: item.event } },
+          { session }
+        );
+        return result.modifiedCount > 0;
+      })
+    );
+
+    await apply("danglingParticipants", issues.danglingParticipants, async (item) => {
+      const result = await Event.updateOne(
+        { _id: item.event },
+        {
+          $pull: {
+            participants: item.student,
+            waitlist: { student: item.student },
+          },
+        }
+      );
+      if (result.modifiedCount > 0) freedSeats.add(item.event.toString());
+      return result.modifiedCount > 0;
+    });
+
+    await apply("inactiveParticipants", issues.inactiveParticipants, (item) =>
+      withTransaction(async (session) => {
+        // countDocuments isn't covered by the Student pre(/^find/) filter
+        const stillInactive = await Student.countDocuments({
+          _id: item.student,
+          active: false,
+        }).session(session);
+        if (!stillInactive) return false;
+
+        const result = await Event.updateOne(
+          { _id: item.event, status: "upcoming" },
+          {
+            $pull: {
+              participants: item.student,
+              waitlist: { student: item.student },
+            },
+          },
+          { session }
+        );
+        await Student.updateOne(
+          { _id: item.student },
+          { $pull: { enrolledEvents: item.event } },
+          { session }
+        );
+
+        if (result.modifiedCount > 0) freedSeats.add(item.event.toString());
+        return result.modifiedCount > 0;
+      })
+    );
+
+    await apply("orphanedEnrollments", issues.orphanedEnrollments, (item) =>
+      withTransaction(async (session) => {
+        const nowParticipant = await Event.exists({
+          _id: item.event,
+          participants: item.student,
+        }).session(session);
+        if (nowParticipant) return false;
+
+        const result = await Student.updateOne(
+          { _id: item.student },
+          { $pull: { enrolledEvents: item.event } },
+          { session }
+        );
+        return result.modifiedCount > 0;
+      })
+    );
+
+    await apply("danglingEnrollments", issues.danglingEnrollments, async (item) => {
+      const result = await Student.updateOne(
+        { _id: item.student },
+        { $pull: { enrolledEvents: item.event } }
+      );
+      return result.modifiedCount > 0;
+    });
+
+    await apply("staleWaitlistEntries", issues.staleWaitlistEntries, async (item) => {
+      const result = await Event.updateOne(
+        { _id: item.event },
+        { $pull: { waitlist: { student: item.student } } }
+      );
+      if (result.modifiedCount > 0) freedSeats.add(item.event.toString());
+      return result.modifiedCount > 0;
+    });
+
+    // Seats freed by removed participants go to the waitlist
+    for (const eventId of freedSeats) {
+      try {
+        await waitlistService.promoteNext(eventId);
+      } catch (error) {
+        console.error(`Waitlist promotion failed for event ${eventId}:`, error.message);
+      }
+    }
+
+    return applied;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      enabled: this.enabled,
+      schedule: this.schedule,
+      autoFix: this.autoFix,
+      lastRun: this.lastRun,
+      lastSummary: this.lastSummary,
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
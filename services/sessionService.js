@@ -0,0 +1,165 @@
+// services/sessionService.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session");
+const Student = require("../models/student");
+const AppError = require("../utils/appError");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Old refresh token hashes kept per session to recognise reuse
+const REMEMBERED_ROTATIONS = 10;
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>"
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!/^[a-f0-9]{24}$/.test(sessionId || "") || !secret) return null;
+  return { sessionId, secret };
+};
+
+const requestMetadata = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 500),
+  ip: req.ip,
+});
+
+// Short-lived JWT access tokens, each tied to a session that can be revoked,
+// plus rotating refresh tokens to get new ones
+class SessionService {
+  get refreshTokenTtlMs() {
+    return REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  signAccessToken(student, sessionId) {
+    return jwt.sign(
+      {
+        id: student._id,
+        email: student.email,
+        role: student.role,
+        sid: sessionId,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  // Start a session for a student who just authenticated
+  async create(student, req) {
+    const secret = newSecret();
+
+    const session = await Session.create({
+      student: student._id,
+      tokenHash: hashToken(secret),
+      deviceName: req.body?.deviceName,
+      expiresAt: refreshExpiry(),
+      ...requestMetadata(req),
+    });
+
+    return {
+      session,
+      accessToken: this.signAccessToken(student, session._id),
+      refreshToken: `${session._id}.${secret}`,
+    };
+  }
+
+  // Swap a refresh token for a new access token and refresh token
+  async refresh(refreshToken, req) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw new AppError("Invalid refresh token", 401);
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    const secret = newSecret();
+
+    const session = await Session.findOneAndUpdate(
+      Session.activeFilter({ _id: parsed.sessionId, tokenHash: presentedHash }),
+      {
+        $set: {
+          tokenHash: hashToken(secret),
+          lastUsedAt: new Date(),
+          expiresAt: refreshExpiry(),
+          ...requestMetadata(req),
+        },
+        $push: {
+          previousTokenHashes: {
+            $each: [presentedHash],
+            $slice: -REMEMBERED_ROTATIONS,
+          },
+        },
+        $inc: { rotations: 1 },
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A token that was already rotated away is being replayed: whoever has
+      // it isn't necessarily the student, so end the session for everyone
+      const reused = await Session.findOneAndUpdate(
+        Session.activeFilter({
+          _id: parsed.sessionId,
+          previousTokenHashes: presentedHash,
+        }),
+        { $set: { revokedAt: new Date(), revokedReason: "reuse_detected" } }
+      );
+
+      if (reused) {
+        console.warn(`⚠️  Refresh token reuse detected, revoked session ${reused._id}`);
+        throw new AppError("This session has been revoked. Please log in again.", 401);
+      }
+
+      throw new AppError("Session expired. Please log in again.", 401);
+    }
+
+    const student = await Student.findById(session.student);
+    if (!student) {
+      await this.revoke(session._id, session.student, "revoked");
+      throw new AppError("Session expired. Please log in again.", 401);
+    }
+
+    return {
+      student,
+      session,
+      accessToken: this.signAccessToken(student, session._id),
+      refreshToken: `${session._id}.${secret}`,
+    };
+  }
+
+  isActive(sessionId, studentId) {
+    return Session.exists(Session.activeFilter({ _id: sessionId, student: studentId }));
+  }
+
+  list(studentId) {
+    return Session.find(Session.activeFilter({ student: studentId }))
+      .select("userAgent ip deviceName createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+  }
+
+  // Returns false if there was no such active session
+  async revoke(sessionId, studentId, reason = "revoked") {
+    const result = await Session.updateOne(
+      Session.activeFilter({ _id: sessionId, student: studentId }),
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Revoke every session of a student, optionally keeping one
+  async revokeAll(studentId, { except, reason = "revoked" } = {}) {
+    const filter = Session.activeFilter({ student: studentId });
+    if (except) filter._id = { $ne: except };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
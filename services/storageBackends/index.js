@@ -0,0 +1,31 @@
+// services/storageBackends/index.js
+const LocalBackend = require("./localBackend");
+const IpfsBackend = require("./ipfsBackend");
+
+const backends = {
+  local: LocalBackend,
+  ipfs: IpfsBackend,
+};
+
+// Backend selected by CERTIFICATE_STORAGE (default "local", outside
+// production only: local disk doesn't survive redeploys on most hosts)
+const createStorageBackend = (name = process.env.CERTIFICATE_STORAGE) => {
+  if (!name) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("CERTIFICATE_STORAGE is not configured");
+    }
+    name = "local";
+  }
+
+  const Backend = backends[name];
+  if (!Backend) {
+    throw new Error(
+      `Unknown storage backend "${name}" (expected one of: ${Object.keys(backends).join(", ")})`
+    );
+  }
+  return new Backend();
+};
+
+module.exports = {
+  createStorageBackend,
+};
@@ -0,0 +1,64 @@
+// services/storageBackends/ipfsBackend.js
+
+// Files as raw blocks on an IPFS node through its HTTP RPC API
+// (IPFS_API_URL, default http://127.0.0.1:5001). Raw blocks keep the CID we
+// computed, whatever the file size.
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+class IpfsBackend {
+  constructor(options = {}) {
+    this.name = "ipfs";
+    this.apiUrl = (options.apiUrl || process.env.IPFS_API_URL || "http://127.0.0.1:5001").replace(
+      /\/$/,
+      ""
+    );
+  }
+
+  async put(cid, data) {
+    const form = new FormData();
+    form.append("file", new Blob([data]), cid);
+
+    const params = new URLSearchParams({
+      "cid-codec": "raw",
+      mhtype: "sha2-256",
+      pin: "true",
+      "allow-big-block": "true",
+    });
+
+    const response = await fetch(`${this.apiUrl}/api/v0/block/put?${params}`, {
+      method: "POST",
+      body: form,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`IPFS block/put failed: HTTP ${response.status}`);
+    }
+
+    const { Key } = await response.json();
+    if (Key !== cid) {
+      throw new Error(`IPFS stored the file as ${Key}, expected ${cid}`);
+    }
+  }
+
+  async get(cid) {
+    const response = await fetch(
+      `${this.apiUrl}/api/v0/block/get?${new URLSearchParams({ arg: cid })}`,
+      { method: "POST", signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) }
+    );
+
+    if (response.status === 500) {
+      const body = await response.text();
+      if (/not found/i.test(body)) return null;
+      throw new Error(`IPFS block/get failed: ${body}`);
+    }
+    if (!response.ok) {
+      throw new Error(`IPFS block/get failed: HTTP ${response.status}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
+
+module.exports = IpfsBackend;
@@ -0,0 +1,48 @@
+// services/storageBackends/localBackend.js
+const fs = require("fs/promises");
+const path = require("path");
+const { isCid } = require("../../utils/cid");
+
+// Files on local disk, one per CID, under CERTIFICATE_STORAGE_DIR
+// (default ./storage/certificates)
+class LocalBackend {
+  constructor(options = {}) {
+    this.name = "local";
+    this.directory = path.resolve(
+      options.directory ||
+        process.env.CERTIFICATE_STORAGE_DIR ||
+        path.join(__dirname, "..", "..", "storage", "certificates")
+    );
+  }
+
+  filePath(cid) {
+    if (!isCid(cid)) {
+      throw new Error(`Invalid CID "${cid}"`);
+    }
+    // Spread files over subdirectories so no single directory gets huge
+    return path.join(this.directory, cid.slice(-2), cid);
+  }
+
+  async put(cid, data) {
+    const file = this.filePath(cid);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Content-addressed: an existing file already has these bytes
+    try {
+      await fs.writeFile(file, data, { flag: "wx" });
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+  }
+
+  async get(cid) {
+    try {
+      return await fs.readFile(this.filePath(cid));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalBackend;
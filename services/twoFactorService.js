@@ -0,0 +1,192 @@
+// services/twoFactorService.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const Student = require("../models/student");
+const AppError = require("../utils/appError");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+} = require("../utils/totp");
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "UniEvent Hub";
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = "5m";
+const CHALLENGE_AUDIENCE = "two-factor-login";
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Two-factor authentication with authenticator app codes. Logins for
+// students with 2FA enabled are split in two: the password (or Google) step
+// returns a short-lived challenge token, and the tokens are only issued once
+// a code for that challenge is verified.
+class TwoFactorService {
+  // Roles that must have 2FA before using role-restricted routes
+  get requiredRoles() {
+    return (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+      .split(",")
+      .map((role) => role.trim())
+      .filter(Boolean);
+  }
+
+  isRequiredFor(role) {
+    return this.requiredRoles.includes(role);
+  }
+
+  // Create a secret to add to an authenticator app. It only takes effect
+  // once confirmed with a code.
+  async startEnrollment(student) {
+    if (student.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+
+    const secret = generateSecret();
+    await Student.updateOne(
+      { _id: student._id },
+      { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } }
+    );
+
+    const otpauthUri = buildOtpauthUri({ secret, account: student.email, issuer: ISSUER });
+
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri),
+    };
+  }
+
+  // Turn 2FA on with the first code from the app. Returns the recovery codes,
+  // which are shown this once.
+  async confirmEnrollment(studentId, code) {
+    const student = await Student.findById(studentId).select("+twoFactor.pendingSecret");
+
+    if (student.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+    if (!student.twoFactor?.pendingSecret) {
+      throw new AppError("Start two-factor setup first", 400);
+    }
+
+    const step = verifyTotp(decryptSecret(student.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw new AppError("Invalid authentication code", 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await Student.updateOne(
+      { _id: student._id, "twoFactor.pendingSecret": student.twoFactor.pendingSecret },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.enabledAt": new Date(),
+          "twoFactor.secret": student.twoFactor.pendingSecret,
+          "twoFactor.lastUsedStep": step,
+          "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+        },
+        $unset: { "twoFactor.pendingSecret": 1 },
+      }
+    );
+
+    return recoveryCodes;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  async regenerateRecoveryCodes(studentId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await Student.updateOne(
+      { _id: studentId, "twoFactor.enabled": true },
+      { $set: { "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    return recoveryCodes;
+  }
+
+  async disable(studentId) {
+    await Student.updateOne(
+      { _id: studentId },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.enabledAt": 1,
+          "twoFactor.secret": 1,
+          "twoFactor.pendingSecret": 1,
+          "twoFactor.lastUsedStep": 1,
+          "twoFactor.recoveryCodes": 1,
+        },
+      }
+    );
+  }
+
+  // Check an authenticator code or a recovery code and use it up. Returns
+  // false if it's wrong or was already used.
+  async verifyCode(studentId, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const result = await Student.updateOne(
+        { _id: studentId, "twoFactor.enabled": true, "twoFactor.recoveryCodes": hash },
+        { $pull: { "twoFactor.recoveryCodes": hash } }
+      );
+      return result.modifiedCount > 0;
+    }
+
+    const student = await Student.findById(studentId).select("+twoFactor.secret");
+    if (!student?.twoFactor?.enabled || !student.twoFactor.secret) return false;
+
+    const step = verifyTotp(decryptSecret(student.twoFactor.secret), code);
+    if (step === null) return false;
+
+    // Only accept a time step later than the last one used
+    const result = await Student.updateOne(
+      {
+        _id: studentId,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": null },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async countRecoveryCodes(studentId) {
+    const student = await Student.findById(studentId).select("+twoFactor.recoveryCodes");
+    return student?.twoFactor?.recoveryCodes?.length || 0;
+  }
+
+  // Token proving the first login step passed, exchanged for real tokens at
+  // POST /api/auth/login/2fa
+  createLoginChallenge(student) {
+    return jwt.sign({}, process.env.JWT_SECRET, {
+      subject: student._id.toString(),
+      audience: CHALLENGE_AUDIENCE,
+      expiresIn: CHALLENGE_EXPIRES_IN,
+    });
+  }
+
+  // Student id from a login challenge; throws if invalid or expired
+  verifyLoginChallenge(token) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE }).sub;
+    } catch (error) {
+      throw new AppError("Login challenge is invalid or has expired. Please log in again.", 401);
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
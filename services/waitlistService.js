@@ -0,0 +1,168 @@
+// services/waitlistService.js
+const Event = require("../models/event");
+const Student = require("../models/student");
+const sendEmail = require("../utils/emailSender");
+const cron = require("node-cron");
+
+class WaitlistService {
+  constructor() {
+    this.isRunning = false;
+    this.claimWindowHours = parseFloat(process.env.WAITLIST_CLAIM_WINDOW_HOURS) || 24;
+    this.checkInterval = process.env.WAITLIST_CHECK_INTERVAL || "5"; // minutes
+    this.enabled = process.env.ENABLE_WAITLIST_PROMOTION !== "false";
+    this.init();
+  }
+
+  init() {
+    if (!this.enabled) {
+      console.log("⏸️  Waitlist offer expiry is disabled");
+      return;
+    }
+
+    cron.schedule(`*/${this.checkInterval} * * * *`, () => {
+      this.processExpiredOffers();
+    });
+
+    console.log(
+      `🎟️  Waitlist Service initialized - Offers expire after ${this.claimWindowHours} hours`
+    );
+  }
+
+  // Offer freed seats to the next people in line. Expired offers are dropped
+  // first so that their seats pass on to whoever is next. Each offer is made
+  // with a conditional update, so it can't take a seat an enrollment just took.
+  async promoteNext(eventId) {
+    const now = new Date();
+    const expiresAt = new Date(
+      now.getTime() + this.claimWindowHours * 60 * 60 * 1000
+    );
+
+    await Event.updateOne(
+      { _id: eventId },
+      { $pull: { waitlist: { offerExpiresAt: { $lte: now } } } }
+    );
+
+    const offered = [];
+
+    while (true) {
+      const event = await Event.findOne({
+        _id: eventId,
+        status: "upcoming",
+        $expr: Event.openSeatCondition(now),
+      }).select("title waitlist");
+
+      const entry = event?.waitlist.find((item) => !item.offerExpiresAt);
+      if (!entry) break;
+
+      const updated = await Event.findOneAndUpdate(
+        {
+          _id: eventId,
+          status: "upcoming",
+          $expr: Event.openSeatCondition(now),
+          waitlist: {
+            $elemMatch: { _id: entry._id, offerExpiresAt: null },
+          },
+        },
+        {
+          $set: {
+            "waitlist.$[entry].offeredAt": now,
+            "waitlist.$[entry].offerExpiresAt": expiresAt,
+          },
+        },
+        { arrayFilters: [{ "entry._id": entry._id }] }
+      );
+
+      // Lost a race with an enrollment or another promotion - look again
+      if (!updated) continue;
+
+      offered.push(entry);
+
+      try {
+        const student = await Student.findById(entry.student).select(
+          "name email"
+        );
+        await this.sendOfferEmail(event, student, expiresAt);
+      } catch (error) {
+        console.error(
+          `Failed to send waitlist offer for event ${eventId}:`,
+          error.message
+        );
+      }
+    }
+
+    return offered;
+  }
+
+  // Pass expired offers on to the next person in line
+  async processExpiredOffers() {
+    if (this.isRunning) {
+      console.log("⏳ Waitlist offer check already in progress...");
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const events = await Event.find({
+        status: "upcoming",
+        "waitlist.offerExpiresAt": { $lte: new Date() },
+      }).select("_id");
+
+      for (const event of events) {
+        await this.promoteNext(event._id);
+      }
+
+      if (events.length > 0) {
+        console.log(
+          `🎟️  Processed expired waitlist offers for ${events.length} events`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error processing expired waitlist offers:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async sendOfferEmail(event, student, expiresAt) {
+    if (!student?.email) return;
+
+    const eventURL = `${process.env.ZOHO_FRONTEND_URL}/events/${event._id}`;
+    const deadline = expiresAt.toUTCString();
+
+    await sendEmail({
+      to: student.email,
+      subject: `🎟️ A seat opened up: ${event.title} - UniEvent Hub`,
+      text: `Hello ${student.name || "there"},
+
+A seat has opened up in "${event.title}" and you are next on the waitlist.
+
+Enroll before ${deadline} to claim it:
+${eventURL}
+
+If you don't enroll in time, the seat will be offered to the next person on the waitlist.
+
+Best regards,
+The UniEvent Hub Team`,
+      html: `
+<p>Hello ${student.name || "there"},</p>
+<p>A seat has opened up in <strong>${event.title}</strong> and you are next on the waitlist.</p>
+<p>Enroll before <strong>${deadline}</strong> to claim it:</p>
+<p><a href="${eventURL}">${eventURL}</a></p>
+<p>If you don't enroll in time, the seat will be offered to the next person on the waitlist.</p>
+<p>Best regards,<br><strong>The UniEvent Hub Team</strong></p>
+      `,
+    });
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      enabled: this.enabled,
+      claimWindow: `${this.claimWindowHours} hours`,
+      checkInterval: `${this.checkInterval} minutes`,
+    };
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,57 @@
+const jwt = require("jsonwebtoken");
+const sendEmail = require("./emailSender");
+
+// Links to restore a deleted account. They stay valid until the account is
+// purged and are bound to that deletion, so a link from an earlier deletion
+// can't restore the account a second time.
+
+const AUDIENCE = "account-restore";
+
+const signRestoreToken = (student) =>
+  jwt.sign(
+    {
+      del: student.deletedAt.getTime(),
+      exp: Math.floor(student.purgeAfter.getTime() / 1000),
+    },
+    process.env.JWT_SECRET,
+    { subject: student._id.toString(), audience: AUDIENCE }
+  );
+
+// Returns { studentId, deletedAt }; throws if the token is invalid or expired
+const verifyRestoreToken = (token) => {
+  const { sub, del } = jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCE });
+  return { studentId: sub, deletedAt: new Date(del) };
+};
+
+// certificateNotice says what happens to the student's certificates
+const sendRestoreEmail = async (student, certificateNotice) => {
+  const restoreURL = `${process.env.ZOHO_FRONTEND_URL}/restore-account/${signRestoreToken(student)}`;
+  const purgeDate = student.purgeAfter.toDateString();
+
+  await sendEmail({
+    to: student.email,
+    subject: "🗑️ Your account has been deleted - UniEvent Hub",
+    text: `Hello ${student.name || "there"},
+
+Your UniEvent Hub account has been deleted. If this was a mistake, you can restore it until ${purgeDate}:
+${restoreURL}
+
+After that date your account and personal data are erased for good. ${certificateNotice}
+
+Best regards,
+The UniEvent Hub Team`,
+    html: `
+<p>Hello ${student.name || "there"},</p>
+<p>Your UniEvent Hub account has been deleted. If this was a mistake, you can restore it until <strong>${purgeDate}</strong>:</p>
+<p><a href="${restoreURL}">Restore my account</a></p>
+<p>After that date your account and personal data are erased for good. ${certificateNotice}</p>
+<p>Best regards,<br><strong>The UniEvent Hub Team</strong></p>
+    `,
+  });
+};
+
+module.exports = {
+  signRestoreToken,
+  verifyRestoreToken,
+  sendRestoreEmail,
+};
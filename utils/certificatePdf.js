@@ -0,0 +1,127 @@
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+
+// Used when the event has no template of its own
+const DEFAULT_TEMPLATE = {
+  pageWidth: 842,
+  pageHeight: 595,
+  placeholders: [
+    { field: "text", text: "CERTIFICATE", x: 0, y: 90, width: 842, fontSize: 40, font: "Times-Bold", color: "#1f2937", align: "center" },
+    { field: "text", text: "This is to certify that", x: 0, y: 170, width: 842, fontSize: 16, font: "Helvetica", color: "#4b5563", align: "center" },
+    { field: "studentName", x: 0, y: 205, width: 842, fontSize: 32, font: "Times-Italic", color: "#111827", align: "center" },
+    { field: "positionLabel", x: 0, y: 265, width: 842, fontSize: 18, font: "Helvetica-Bold", color: "#374151", align: "center" },
+    { field: "eventTitle", x: 0, y: 300, width: 842, fontSize: 22, font: "Helvetica-Bold", color: "#111827", align: "center" },
+    { field: "date", x: 80, y: 470, width: 300, fontSize: 12, font: "Helvetica", color: "#4b5563" },
+    { field: "certificateId", x: 80, y: 490, width: 300, fontSize: 10, font: "Courier", color: "#6b7280" },
+    { field: "verificationURL", x: 80, y: 508, width: 500, fontSize: 9, font: "Helvetica", color: "#6b7280" },
+    { field: "qrCode", x: 672, y: 425, width: 90 },
+  ],
+};
+
+// Text for each placeholder field, from a certificate with `student` populated
+const getFieldValues = (certificate) => ({
+  studentName: certificate.student?.name || certificate.studentEmail,
+  eventTitle: certificate.eventName,
+  positionLabel:
+    certificate.type === "participation"
+      ? "Certificate of Participation"
+      : `${certificate.positionLabel} Place`,
+  date: new Date(certificate.issuedAt).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  }),
+  certificateId: certificate.certificateId,
+  verificationURL: certificate.verificationURL,
+});
+
+// The QR code carries the signature too, so a scan can be verified against
+// our public key without the certificate record
+const getQrPayload = (certificate) =>
+  certificate.signature?.token
+    ? `${certificate.verificationURL}?sig=${certificate.signature.token}`
+    : certificate.verificationURL;
+
+const fetchImage = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch template background (${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Render a certificate to a PDF buffer
+const renderCertificatePdf = async (certificate, template = DEFAULT_TEMPLATE) => {
+  const pageWidth = template.pageWidth || DEFAULT_TEMPLATE.pageWidth;
+  const pageHeight = template.pageHeight || DEFAULT_TEMPLATE.pageHeight;
+  const values = getFieldValues(certificate);
+
+  const background = template.background?.url
+    ? await fetchImage(template.background.url)
+    : null;
+
+  const doc = new PDFDocument({
+    size: [pageWidth, pageHeight],
+    margin: 0,
+    info: {
+      Title: `${values.eventTitle} - ${values.studentName}`,
+      Subject: certificate.certificateId,
+      ...(certificate.signature?.token && {
+        CertificateSignature: certificate.signature.token,
+        CertificateKeyId: certificate.signature.kid,
+      }),
+    },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  if (background) {
+    doc.image(background, 0, 0, { width: pageWidth, height: pageHeight });
+  } else {
+    doc
+      .lineWidth(4)
+      .strokeColor("#1f2937")
+      .rect(20, 20, pageWidth - 40, pageHeight - 40)
+      .stroke();
+  }
+
+  for (const placeholder of template.placeholders || []) {
+    if (placeholder.field === "qrCode") {
+      const size = placeholder.width || 100;
+      const qr = await QRCode.toBuffer(getQrPayload(certificate), {
+        type: "png",
+        margin: 1,
+        width: size * 4,
+      });
+      doc.image(qr, placeholder.x, placeholder.y, { width: size, height: size });
+      continue;
+    }
+
+    const text =
+      placeholder.field === "text" ? placeholder.text : values[placeholder.field];
+    if (!text) continue;
+
+    doc
+      .font(placeholder.font || "Helvetica")
+      .fontSize(placeholder.fontSize || 16)
+      .fillColor(placeholder.color || "#000000")
+      .text(text, placeholder.x, placeholder.y, {
+        width: placeholder.width || pageWidth - placeholder.x,
+        align: placeholder.align || "left",
+        lineBreak: false,
+      });
+  }
+
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  renderCertificatePdf,
+};
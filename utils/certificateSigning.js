@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+
+// Certificates are signed as compact JWS (RFC 7515) with EdDSA/Ed25519, so
+// anyone holding our public key can check one without calling this server.
+//
+// CERTIFICATE_SIGNING_KEY          Ed25519 private key, PKCS#8 PEM
+// CERTIFICATE_SIGNING_KEY_ID       key id (defaults to a thumbprint of the key)
+// CERTIFICATE_RETIRED_PUBLIC_KEYS  JSON array of public JWKs of rotated-out
+//                                  keys, so older certificates still verify
+
+const JWS_TYPE = "cert+jws";
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+// RFC 7638 thumbprint of an OKP key
+const getThumbprint = (jwk) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x }))
+    .digest("base64url");
+
+let signingKey;
+
+const loadSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  let privateKey;
+  if (process.env.CERTIFICATE_SIGNING_KEY) {
+    privateKey = crypto.createPrivateKey(
+      process.env.CERTIFICATE_SIGNING_KEY.replace(/\\n/g, "\n")
+    );
+    if (privateKey.asymmetricKeyType !== "ed25519") {
+      throw new Error("CERTIFICATE_SIGNING_KEY must be an Ed25519 key");
+    }
+  } else if (process.env.NODE_ENV === "production") {
+    throw new Error("CERTIFICATE_SIGNING_KEY is not configured");
+  } else {
+    // Development only: certificates signed with this key stop verifying
+    // once the server restarts
+    console.warn(
+      "⚠️  CERTIFICATE_SIGNING_KEY is not set - using a temporary signing key"
+    );
+    privateKey = crypto.generateKeyPairSync("ed25519").privateKey;
+  }
+
+  const publicJwk = crypto.createPublicKey(privateKey).export({ format: "jwk" });
+  const kid = process.env.CERTIFICATE_SIGNING_KEY_ID || getThumbprint(publicJwk);
+
+  signingKey = {
+    kid,
+    privateKey,
+    publicJwk: { ...publicJwk, kid, use: "sig", alg: "EdDSA" },
+  };
+  return signingKey;
+};
+
+const loadRetiredKeys = () => {
+  if (!process.env.CERTIFICATE_RETIRED_PUBLIC_KEYS) return [];
+
+  return JSON.parse(process.env.CERTIFICATE_RETIRED_PUBLIC_KEYS).map((jwk) => ({
+    ...jwk,
+    kid: jwk.kid || getThumbprint(jwk),
+    use: "sig",
+    alg: "EdDSA",
+  }));
+};
+
+// Public keys that certificates may be signed with, as a JWK Set
+const getJwks = () => ({
+  keys: [loadSigningKey().publicJwk, ...loadRetiredKeys()],
+});
+
+// Sign a JSON payload as compact JWS with the current key; returns { token, kid }
+const signJws = (payload, typ) => {
+  const { kid, privateKey } = loadSigningKey();
+
+  const header = base64url(JSON.stringify({ alg: "EdDSA", kid, typ }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), privateKey);
+
+  return {
+    token: `${header}.${body}.${signature.toString("base64url")}`,
+    kid,
+  };
+};
+
+// Sign certificate claims; returns { token, kid }
+const signCertificateClaims = (claims) => signJws(claims, JWS_TYPE);
+
+// Sign raw bytes with the current key; returns { signature, kid }
+const signBytes = (data) => {
+  const { kid, privateKey } = loadSigningKey();
+  return { signature: crypto.sign(null, data, privateKey), kid };
+};
+
+// Check a JWS of type `typ` against our public keys only - no database.
+// Returns { kid, claims }; throws if the token is malformed, of another type
+// or the signature doesn't match. `name` is used in the error messages.
+const verifyJws = (token, typ, name = "certificate") => {
+  const parts = typeof token === "string" ? token.trim().split(".") : [];
+  if (parts.length !== 3) {
+    throw new Error(`Malformed ${name} signature`);
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString());
+    claims = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+  } catch (error) {
+    throw new Error(`Malformed ${name} signature`);
+  }
+
+  if (header.alg !== "EdDSA" || header.typ !== typ) {
+    throw new Error(`Not a ${name} signature`);
+  }
+
+  const jwk = getJwks().keys.find((key) => key.kid === header.kid);
+  if (!jwk) {
+    throw new Error(`Unknown signing key "${header.kid}"`);
+  }
+
+  const publicKey = crypto.createPublicKey({
+    key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x },
+    format: "jwk",
+  });
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    publicKey,
+    Buffer.from(encodedSignature, "base64url")
+  );
+
+  if (!valid) {
+    throw new Error(`${name[0].toUpperCase()}${name.slice(1)} signature is invalid`);
+  }
+
+  return { kid: header.kid, claims };
+};
+
+// Check a signed certificate; see verifyJws
+const verifySignedCertificate = (token) => verifyJws(token, JWS_TYPE);
+
+// Base58 (bitcoin alphabet), used by multibase "z" strings
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+const base58btc = (bytes) => {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+
+  let output = "";
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) output += "1";
+  for (let i = digits.length - 1; i >= 0; i--) output += BASE58_ALPHABET[digits[i]];
+  return output;
+};
+
+// Ed25519 public key as a Multikey (multicodec 0xed01 + raw key, base58btc)
+const toMultibase = (bytes) => `z${base58btc(bytes)}`;
+
+const getPublicKeyMultibase = (jwk) =>
+  toMultibase(Buffer.concat([Buffer.from([0xed, 0x01]), Buffer.from(jwk.x, "base64url")]));
+
+module.exports = {
+  getJwks,
+  signJws,
+  verifyJws,
+  signCertificateClaims,
+  verifySignedCertificate,
+  signBytes,
+  toMultibase,
+  getPublicKeyMultibase,
+};
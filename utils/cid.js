@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+
+// CIDv1 for a file stored as a single raw block: multicodec raw (0x55) over a
+// sha2-256 multihash, in multibase base32. This is the CID IPFS gives the same
+// bytes with `ipfs block put --cid-codec=raw`, so files can move to IPFS
+// without changing their recorded hash.
+
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 0x20;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// RFC 4648 base32, lowercase, no padding
+const base32 = (bytes) => {
+  let output = "";
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const computeCid = (data) => {
+  const digest = crypto.createHash("sha256").update(data).digest();
+  const bytes = Buffer.concat([
+    Buffer.from([CID_VERSION, RAW_CODEC, SHA2_256, SHA2_256_LENGTH]),
+    digest,
+  ]);
+  return `b${base32(bytes)}`;
+};
+
+const isCid = (value) => typeof value === "string" && /^b[a-z2-7]{58}$/.test(value);
+
+module.exports = {
+  computeCid,
+  isCid,
+};
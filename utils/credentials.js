@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const {
+  getJwks,
+  signBytes,
+  toMultibase,
+  getPublicKeyMultibase,
+} = require("./certificateSigning");
+
+// Certificates exported as W3C Verifiable Credentials (VC Data Model 2.0),
+// optionally shaped as Open Badges 3.0 OpenBadgeCredentials. Proofs use the
+// eddsa-jcs-2022 cryptosuite with the platform certificate key; the issuer
+// profile is the event organizer, who lists that key as a verification method.
+
+const VC_CONTEXT = "https://www.w3.org/ns/credentials/v2";
+const OB_CONTEXT = "https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json";
+
+// JSON Canonicalization Scheme (RFC 8785)
+const canonicalize = (value) => {
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  return `{${Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+    .join(",")}}`;
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+const getIssuerId = (baseUrl, organizerId) =>
+  `${baseUrl}/api/certificates/issuers/${organizerId}`;
+
+// Issuer profile for an organizer, listing the keys its credentials verify with
+const buildIssuerProfile = (organizer, baseUrl) => {
+  const id = getIssuerId(baseUrl, organizer._id);
+
+  return {
+    "@context": [VC_CONTEXT, OB_CONTEXT],
+    id,
+    type: ["Profile"],
+    name: organizer.name,
+    verificationMethod: getJwks().keys.map((jwk) => ({
+      id: `${id}#${jwk.kid}`,
+      type: "Multikey",
+      controller: id,
+      publicKeyMultibase: getPublicKeyMultibase(jwk),
+    })),
+  };
+};
+
+// The student, by wallet when they have one and otherwise by a salted hash of
+// their email, so the credential doesn't expose the address itself
+const buildSubjectIdentity = (certificate) => {
+  if (certificate.metaMaskAddress) {
+    return { id: `did:pkh:eip155:1:${certificate.metaMaskAddress}` };
+  }
+
+  const salt = crypto.randomBytes(8).toString("hex");
+
+  return {
+    identifier: [
+      {
+        type: "IdentityObject",
+        identityType: "emailAddress",
+        hashed: true,
+        identityHash: `sha256$${sha256(certificate.studentEmail + salt).toString("hex")}`,
+        salt,
+      },
+    ],
+  };
+};
+
+const buildAchievement = (certificate, baseUrl) => {
+  const eventId = (certificate.event?._id || certificate.event).toString();
+  const isWinner = certificate.type !== "participation";
+  const label = isWinner ? `${certificate.positionLabel} Place` : "Participation";
+
+  return {
+    id: `${baseUrl}/api/events/${eventId}#achievement-${
+      isWinner ? `winner-${certificate.winnerPosition}` : "participation"
+    }`,
+    type: ["Achievement"],
+    achievementType: isWinner ? "Award" : "Achievement",
+    name: `${label} - ${certificate.eventName}`,
+    description:
+      certificate.metadata?.description ||
+      `${label} in ${certificate.eventName}`,
+    criteria: {
+      narrative: isWinner
+        ? `Placed ${certificate.positionLabel} in ${certificate.eventName}.`
+        : `Took part in ${certificate.eventName}.`,
+    },
+    tag: certificate.metadata?.skills?.length ? certificate.metadata.skills : undefined,
+  };
+};
+
+// Unsigned credential for a certificate, issued in the name of the event's
+// organizer. `format` is "openbadge" or "vc".
+const buildCredential = (certificate, { baseUrl, organizer, format = "openbadge" }) => {
+  const issuer = buildIssuerProfile(organizer, baseUrl);
+  const achievement = buildAchievement(certificate, baseUrl);
+  const subject = buildSubjectIdentity(certificate);
+
+  const credential = {
+    "@context": format === "openbadge" ? [VC_CONTEXT, OB_CONTEXT] : [VC_CONTEXT],
+    id: `${baseUrl}/api/certificates/${certificate.certificateId}/credential`,
+    type:
+      format === "openbadge"
+        ? ["VerifiableCredential", "OpenBadgeCredential"]
+        : ["VerifiableCredential", "EventCertificateCredential"],
+    issuer: {
+      id: issuer.id,
+      type: ["Profile"],
+      name: issuer.name,
+    },
+    name: achievement.name,
+    description: achievement.description,
+    validFrom: new Date(certificate.issuedAt).toISOString(),
+    validUntil: certificate.metadata?.expirationDate
+      ? new Date(certificate.metadata.expirationDate).toISOString()
+      : undefined,
+    credentialSubject:
+      format === "openbadge"
+        ? { ...subject, type: ["AchievementSubject"], achievement }
+        : {
+            ...subject,
+            certificateId: certificate.certificateId,
+            event: certificate.eventName,
+            achievement: achievement.name,
+            skills: achievement.tag,
+          },
+  };
+
+  return JSON.parse(JSON.stringify(credential));
+};
+
+// Attach an eddsa-jcs-2022 DataIntegrityProof signed with the current key
+const signCredential = (credential) => {
+  const { kid } = getJwks().keys[0];
+
+  const proofConfig = {
+    "@context": credential["@context"],
+    type: "DataIntegrityProof",
+    cryptosuite: "eddsa-jcs-2022",
+    created: new Date().toISOString().replace(/\.\d{3}Z$/, "Z"),
+    verificationMethod: `${credential.issuer.id}#${kid}`,
+    proofPurpose: "assertionMethod",
+  };
+
+  const hashData = Buffer.concat([
+    sha256(canonicalize(proofConfig)),
+    sha256(canonicalize(credential)),
+  ]);
+  const { signature } = signBytes(hashData);
+
+  const { "@context": context, ...proof } = proofConfig;
+  return {
+    ...credential,
+    proof: { ...proof, proofValue: toMultibase(signature) },
+  };
+};
+
+module.exports = {
+  canonicalize,
+  buildIssuerProfile,
+  buildCredential,
+  signCredential,
+};
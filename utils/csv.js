@@ -0,0 +1,87 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, escaped quotes
+// ("") and CRLF or LF line endings.
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// Rows of header-keyed objects from CSV text. Headers are trimmed and
+// lowercased.
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { headers: [], records: [] };
+
+  const headers = header.map((name) => name.trim().toLowerCase());
+
+  return {
+    headers,
+    records: rows.map((cells) =>
+      Object.fromEntries(headers.map((name, i) => [name, (cells[i] || "").trim()]))
+    ),
+  };
+};
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (headers, records) =>
+  [headers, ...records.map((record) => headers.map((name) => record[name]))]
+    .map((cells) => cells.map(escapeCell).join(","))
+    .join("\r\n") + "\r\n";
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv,
+};
@@ -0,0 +1,54 @@
+const jwt = require("jsonwebtoken");
+const sendEmail = require("./emailSender");
+
+// Email verification links carry a signed, expiring token bound to the
+// address it was sent to, so changing the email invalidates older links.
+
+const VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h";
+const AUDIENCE = "email-verification";
+
+const getSecret = () => process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+
+const signVerificationToken = (student) =>
+  jwt.sign({ email: student.email }, getSecret(), {
+    subject: student._id.toString(),
+    audience: AUDIENCE,
+    expiresIn: VERIFICATION_EXPIRES_IN,
+  });
+
+// Returns { studentId, email }; throws if the token is invalid or expired
+const verifyVerificationToken = (token) => {
+  const { sub, email } = jwt.verify(token, getSecret(), { audience: AUDIENCE });
+  return { studentId: sub, email };
+};
+
+const sendVerificationEmail = async (student) => {
+  const verifyURL = `${process.env.ZOHO_FRONTEND_URL}/verify-email/${signVerificationToken(student)}`;
+
+  await sendEmail({
+    to: student.email,
+    subject: "✉️ Verify your email - UniEvent Hub",
+    text: `Hello ${student.name || "there"},
+
+Please confirm that this is your email address by opening the link below:
+${verifyURL}
+
+The link is valid for ${VERIFICATION_EXPIRES_IN}. If you didn't create a UniEvent Hub account, you can ignore this email.
+
+Best regards,
+The UniEvent Hub Team`,
+    html: `
+<p>Hello ${student.name || "there"},</p>
+<p>Please confirm that this is your email address:</p>
+<p><a href="${verifyURL}">Verify my email</a></p>
+<p>The link is valid for <strong>${VERIFICATION_EXPIRES_IN}</strong>. If you didn't create a UniEvent Hub account, you can ignore this email.</p>
+<p>Best regards,<br><strong>The UniEvent Hub Team</strong></p>
+    `,
+  });
+};
+
+module.exports = {
+  signVerificationToken,
+  verifyVerificationToken,
+  sendVerificationEmail,
+};
@@ -0,0 +1,13 @@
+// Escape user-supplied text for use in HTML email bodies
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+module.exports = escapeHtml;
@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const sendEmail = require("./emailSender");
+
+// Passwordless login links. The token is signed and expires quickly; its id
+// is also stored (hashed) on the student and cleared when the link is used,
+// so each link works once and requesting a new one cancels the old one.
+
+const MAGIC_LINK_EXPIRES_IN = process.env.MAGIC_LINK_EXPIRES_IN || "15m";
+const AUDIENCE = "magic-link";
+
+const hashLinkId = (linkId) => crypto.createHash("sha256").update(linkId).digest("hex");
+
+// Returns the token to email and the hash to store on the student
+const createMagicLinkToken = (student) => {
+  const linkId = crypto.randomBytes(16).toString("hex");
+  const token = jwt.sign({}, process.env.JWT_SECRET, {
+    subject: student._id.toString(),
+    audience: AUDIENCE,
+    jwtid: linkId,
+    expiresIn: MAGIC_LINK_EXPIRES_IN,
+  });
+  return { token, linkIdHash: hashLinkId(linkId) };
+};
+
+// Returns { studentId, linkIdHash }; throws if the token is invalid or expired
+const verifyMagicLinkToken = (token) => {
+  const { sub, jti } = jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCE });
+  return { studentId: sub, linkIdHash: hashLinkId(jti) };
+};
+
+const sendMagicLinkEmail = async (student, token) => {
+  const loginURL = `${process.env.ZOHO_FRONTEND_URL}/magic-link/${token}`;
+
+  await sendEmail({
+    to: student.email,
+    subject: "🔑 Your login link - UniEvent Hub",
+    text: `Hello ${student.name || "there"},
+
+Use the link below to log in to UniEvent Hub:
+${loginURL}
+
+The link is valid for ${MAGIC_LINK_EXPIRES_IN} and can be used once. If you didn't ask to log in, you can ignore this email.
+
+Best regards,
+The UniEvent Hub Team`,
+    html: `
+<p>Hello ${student.name || "there"},</p>
+<p>Use the link below to log in to UniEvent Hub:</p>
+<p><a href="${loginURL}">Log me in</a></p>
+<p>The link is valid for <strong>${MAGIC_LINK_EXPIRES_IN}</strong> and can be used once. If you didn't ask to log in, you can ignore this email.</p>
+<p>Best regards,<br><strong>The UniEvent Hub Team</strong></p>
+    `,
+  });
+};
+
+module.exports = {
+  createMagicLinkToken,
+  verifyMagicLinkToken,
+  sendMagicLinkEmail,
+};
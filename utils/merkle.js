@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+
+// Binary SHA-256 Merkle tree. Leaves and inner nodes are hashed with different
+// prefixes so a leaf can never be passed off as an inner node. An odd node at
+// the end of a level is carried up unchanged.
+
+const sha256 = (...parts) =>
+  crypto.createHash("sha256").update(Buffer.concat(parts)).digest();
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+// Hex hash of one leaf's data
+const hashLeaf = (data) => sha256(LEAF_PREFIX, Buffer.from(data)).toString("hex");
+
+const hashNode = (left, right) =>
+  sha256(NODE_PREFIX, Buffer.from(left, "hex"), Buffer.from(right, "hex")).toString(
+    "hex"
+  );
+
+// Build every level from the hex leaf hashes up to the root
+const buildMerkleTree = (leafHashes) => {
+  if (leafHashes.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+
+  const levels = [leafHashes];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  return {
+    root: levels[levels.length - 1][0],
+    levels,
+  };
+};
+
+// Sibling hashes from the leaf at `index` up to the root
+const getMerkleProof = (levels, index) => {
+  const proof = [];
+  let position = index;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const isRight = position % 2 === 1;
+    const siblingIndex = isRight ? position - 1 : position + 1;
+
+    if (siblingIndex < level.length) {
+      proof.push({
+        position: isRight ? "left" : "right",
+        hash: level[siblingIndex],
+      });
+    }
+    position = Math.floor(position / 2);
+  }
+
+  return proof;
+};
+
+const verifyMerkleProof = (leafHash, proof, root) => {
+  const computed = proof.reduce(
+    (hash, step) =>
+      step.position === "left" ? hashNode(step.hash, hash) : hashNode(hash, step.hash),
+    leafHash
+  );
+  return computed === root;
+};
+
+module.exports = {
+  hashLeaf,
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof,
+};
@@ -0,0 +1,66 @@
+// Expand a recurrence rule into concrete occurrence dates.
+//
+// Rules follow the iCalendar (RFC 5545) model: `count` limits how many
+// occurrences the rule generates *before* excluded dates are removed, so a
+// 10-week series with one excluded week yields 9 occurrences. Monthly rules
+// skip months that don't have the start day (e.g. the 31st).
+
+const MAX_OCCURRENCES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addInterval = (start, frequency, steps) => {
+  const next = new Date(start);
+
+  switch (frequency) {
+    case "daily":
+      return new Date(start.getTime() + steps * DAY_MS);
+    case "weekly":
+      return new Date(start.getTime() + steps * 7 * DAY_MS);
+    case "monthly": {
+      next.setUTCMonth(start.getUTCMonth() + steps);
+      // Month overflowed (e.g. Jan 31 -> Mar 3): this month has no such day
+      return next.getUTCDate() === start.getUTCDate() ? next : null;
+    }
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${frequency}`);
+  }
+};
+
+// Returns [{ date, endDate }] for a series starting at `start` and lasting
+// `durationMs` per occurrence (endDate is left unset when no duration is given)
+const generateOccurrences = (start, durationMs, recurrence) => {
+  const { frequency, interval = 1, count, until, excludedDates = [] } =
+    recurrence;
+
+  const startDate = new Date(start);
+  const untilDate = until ? new Date(until) : null;
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const excluded = new Set(excludedDates.map(toDayKey));
+
+  const occurrences = [];
+  let generated = 0;
+
+  // Monthly rules may skip months, so bound the loop by steps, not results
+  for (let step = 0; generated < limit && step < limit * 12; step++) {
+    const date = addInterval(startDate, frequency, step * interval);
+    if (!date) continue;
+    if (untilDate && date > untilDate) break;
+
+    generated++;
+    if (excluded.has(toDayKey(date))) continue;
+
+    occurrences.push({
+      date,
+      endDate: durationMs ? new Date(date.getTime() + durationMs) : undefined,
+    });
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  generateOccurrences,
+};
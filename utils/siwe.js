@@ -0,0 +1,78 @@
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const { keccak_256 } = require("@noble/hashes/sha3");
+
+// Sign-In with Ethereum (EIP-4361) messages and personal_sign (EIP-191)
+// signature recovery, done locally without a node.
+
+const keccakHex = (data) => Buffer.from(keccak_256(data)).toString("hex");
+
+// EIP-55 mixed-case checksum address
+const toChecksumAddress = (address) => {
+  const lower = address.toLowerCase().replace(/^0x/, "");
+  const hash = keccakHex(Buffer.from(lower));
+
+  let output = "0x";
+  for (let i = 0; i < lower.length; i++) {
+    output += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return output;
+};
+
+const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+}) =>
+  [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    toChecksumAddress(address),
+    "",
+    statement,
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expirationTime.toISOString()}`,
+  ].join("\n");
+
+// Address that produced a personal_sign signature over `message`
+const recoverPersonalSignAddress = (message, signature) => {
+  const bytes = Buffer.from(signature.replace(/^0x/, ""), "hex");
+  if (bytes.length !== 65) {
+    throw new Error("Signature must be 65 bytes");
+  }
+
+  let recovery = bytes[64];
+  if (recovery >= 27) recovery -= 27;
+  if (recovery !== 0 && recovery !== 1) {
+    throw new Error("Invalid signature recovery id");
+  }
+
+  const data = Buffer.from(message, "utf8");
+  const digest = keccak_256(
+    Buffer.concat([
+      Buffer.from(`\x19Ethereum Signed Message:\n${data.length}`, "utf8"),
+      data,
+    ])
+  );
+
+  const publicKey = secp256k1.Signature.fromCompact(bytes.subarray(0, 64))
+    .addRecoveryBit(recovery)
+    .recoverPublicKey(digest)
+    .toRawBytes(false);
+
+  return `0x${keccakHex(publicKey.subarray(1)).slice(-40)}`;
+};
+
+module.exports = {
+  toChecksumAddress,
+  buildSiweMessage,
+  recoverPersonalSignAddress,
+};
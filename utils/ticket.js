@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { signJws, verifyJws } = require("./certificateSigning");
+
+// Tickets are stateless: both the short code and the signed token are derived
+// from the event and student ids, so nothing has to be stored per enrollment.
+// Whether a ticket is still valid is decided by Event.participants at check-in.
+
+const getTicketSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+// Short code printed under the QR code for manual entry
+const getTicketCode = (eventId, studentId) =>
+  crypto
+    .createHmac("sha256", getTicketSecret())
+    .update(`ticket:${eventId}:${studentId}`)
+    .digest("hex")
+    .slice(0, 12)
+    .toUpperCase();
+
+// Signed token encoded in the QR code
+const signTicket = (eventId, studentId) =>
+  jwt.sign(
+    {
+      typ: "ticket",
+      evt: eventId.toString(),
+      code: getTicketCode(eventId, studentId),
+    },
+    getTicketSecret(),
+    { subject: studentId.toString() }
+  );
+
+// Returns { eventId, studentId, code }; throws if the token is not a valid ticket
+const verifyTicket = (token) => {
+  const payload = jwt.verify(token, getTicketSecret());
+
+  if (payload.typ !== "ticket" || !payload.evt || !payload.sub) {
+    throw new Error("Not a ticket token");
+  }
+
+  return {
+    eventId: payload.evt,
+    studentId: payload.sub,
+    code: payload.code,
+  };
+};
+
+const ROSTER_JWS_TYPE = "roster+jws";
+
+// Signature over an offline roster, made with the certificate signing key so
+// venue devices can check it against /api/certificates/jwks.json. The digest
+// covers the participant list; attendance syncs must present the token.
+const signRoster = (roster, expiresAt) =>
+  signJws(
+    {
+      rid: roster.rosterId,
+      evt: roster.event.id.toString(),
+      digest: crypto
+        .createHash("sha256")
+        .update(JSON.stringify(roster.participants))
+        .digest("hex"),
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    },
+    ROSTER_JWS_TYPE
+  ).token;
+
+// Returns { rosterId, eventId, digest }; throws if the token is not a valid,
+// unexpired roster signature
+const verifyRoster = (token) => {
+  const { claims } = verifyJws(token, ROSTER_JWS_TYPE, "roster");
+
+  if (!claims.exp || claims.exp * 1000 < Date.now()) {
+    throw new Error("Roster has expired");
+  }
+
+  return { rosterId: claims.rid, eventId: claims.evt, digest: claims.digest };
+};
+
+module.exports = {
+  getTicketCode,
+  signTicket,
+  verifyTicket,
+  signRoster,
+  verifyRoster,
+};
@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30 s steps) as
+// used by Google Authenticator, Authy and the like, plus helpers to keep the
+// shared secret encrypted at rest.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded (160 bits, as RFC 4226 recommends)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for one counter
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Time step the code matches (allowing `window` steps of clock drift either
+// way), or null. Callers store the step to stop a code being used twice.
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const candidate = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = hotp(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + drift;
+    }
+  }
+  return null;
+};
+
+// Spaces are encoded as %20, not "+", which some authenticator apps show as is
+const buildOtpauthUri = ({ secret, account, issuer }) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+  `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+// AES-256-GCM with a key from TWO_FACTOR_ENCRYPTION_KEY (or JWT_SECRET)
+const getKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64url")).join(".");
+};
+
+const decryptSecret = (encrypted) => {
+  const [iv, tag, data] = encrypted.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Run `work` inside a MongoDB transaction. Every write made with the session
+// passed to `work` is committed together; if `work` throws, none of them are.
+// Requires a replica set (MongoDB Atlas clusters are replica sets).
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = withTransaction;